@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Source Map 还原命令行工具
+ *
+ * 用法:
+ *   uniapp-error-symbolicate --maps <目录> [report.json]      还原错误报告（省略文件时从标准输入读取）
+ *   uniapp-error-symbolicate --maps <目录> --stack "<堆栈>"   还原原始堆栈字符串
+ *   uniapp-error-symbolicate serve --maps <目录> --forward <webhook地址> [--port 8787] [--host 127.0.0.1] [--token <令牌>] [--cors-origin <来源>] [--transport wecom]
+ */
+const fs = require('fs')
+const { Symbolicator, formatSymbolicatedFrames, createSymbolicationServer, DEFAULT_SERVER_PORT, DEFAULT_SERVER_HOST } = require('../dist/symbolicate.js')
+
+const HELP = `用法:
+  uniapp-error-symbolicate --maps <目录> [report.json]
+  uniapp-error-symbolicate --maps <目录> --stack "<堆栈>"
+  uniapp-error-symbolicate serve --maps <目录> --forward <webhook地址> [--port ${DEFAULT_SERVER_PORT}] [--host ${DEFAULT_SERVER_HOST}] [--token <令牌>] [--cors-origin <来源>] [--transport wecom]
+
+选项:
+  --maps <目录>        .map 文件所在目录（必填）
+  --stack <堆栈>       直接还原堆栈字符串
+  --context <行数>     源码上下文行数，默认 3
+  --json               以 JSON 格式输出
+  --forward <地址>     serve 模式下转发的 webhook 地址
+  --port <端口>        serve 模式监听端口，默认 ${DEFAULT_SERVER_PORT}
+  --host <地址>        serve 模式监听地址，默认 ${DEFAULT_SERVER_HOST}（仅本机可访问）
+  --token <令牌>       serve 模式访问令牌，请求需携带 Authorization: Bearer <令牌> 或 ?token=<令牌>
+  --cors-origin <来源> serve 模式允许跨域访问的来源，默认 *
+  --transport <协议>   serve 模式转发协议：wecom、dingtalk、feishu、lark、slack、json
+  --secret <密钥>      serve 模式转发签名密钥（钉钉/飞书）
+  -h, --help           显示帮助`
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv 参数列表
+ * @returns {Object} 解析结果
+ */
+function parseArgs(argv) {
+  const args = { _: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '-h' || arg === '--help') {
+      args.help = true
+    } else if (arg === '--json') {
+      args.json = true
+    } else if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[++i]
+    } else {
+      args._.push(arg)
+    }
+  }
+  return args
+}
+
+/**
+ * 读取标准输入
+ * @returns {Promise<string>}
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = ''
+    process.stdin.setEncoding('utf-8')
+    process.stdin.on('data', chunk => {
+      data += chunk
+    })
+    process.stdin.on('end', () => resolve(data))
+    process.stdin.on('error', reject)
+  })
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help || !args.maps) {
+    console.log(HELP)
+    process.exit(args.help ? 0 : 1)
+  }
+  const contextLines = args.context !== undefined ? Number(args.context) : undefined
+
+  if (args._[0] === 'serve') {
+    const server = createSymbolicationServer({
+      sourceMapDir: args.maps,
+      forwardUrl: args.forward,
+      transport: args.transport,
+      transportOptions: args.secret ? { secret: args.secret } : {},
+      contextLines,
+      token: args.token,
+      corsOrigin: args['cors-origin'],
+    })
+    const port = Number(args.port) || DEFAULT_SERVER_PORT
+    const host = args.host || DEFAULT_SERVER_HOST
+    server.listen(port, host, () => {
+      console.log(`Source Map 还原服务已启动: http://${host}:${port}`)
+      if (!args.token && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+        console.warn('警告：未设置 --token，任何能访问该地址的设备都可以通过本服务向 webhook 发送消息')
+      }
+    })
+    return
+  }
+
+  const symbolicator = new Symbolicator({ sourceMapDir: args.maps, contextLines })
+  let frames
+  if (args.stack) {
+    frames = symbolicator.symbolicateStack(args.stack)
+  } else {
+    const input = args._[0] ? fs.readFileSync(args._[0], 'utf-8') : await readStdin()
+    let report
+    try {
+      report = JSON.parse(input)
+    } catch (error) {
+      // 非JSON输入按原始堆栈处理
+      report = null
+    }
+    frames = report ? symbolicator.symbolicateReport(report).symbolicatedFrames : symbolicator.symbolicateStack(input)
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(frames, null, 2))
+  } else if (frames.length === 0) {
+    console.log('未解析到堆栈信息')
+  } else {
+    console.log(formatSymbolicatedFrames(frames))
+  }
+}
+
+main().catch(error => {
+  console.error(`还原失败: ${error.message}`)
+  process.exit(1)
+})
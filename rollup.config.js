@@ -2,6 +2,8 @@ import { defineConfig } from 'rollup'
 import babel from '@rollup/plugin-babel'
 import { terser } from 'rollup-plugin-terser'
 import typescript from '@rollup/plugin-typescript'
+import { nodeResolve } from '@rollup/plugin-node-resolve'
+import commonjs from '@rollup/plugin-commonjs'
 
 const pkg = require('./package.json')
 
@@ -32,6 +34,16 @@ function copyTypescriptDefinitions() {
   }
 }
 
+// 将 import.meta.env 替换为 undefined，供不支持 import.meta 语法的构建工具使用（webpack 4、HBuilderX Vue 2）
+function stripImportMetaEnv() {
+  return {
+    name: 'strip-import-meta-env',
+    resolveImportMeta(property) {
+      return property === 'env' ? 'undefined' : null
+    }
+  }
+}
+
 const plugins = [
   typescript(),
   babel({
@@ -54,11 +66,19 @@ export default defineConfig([
   {
     input: 'src/index.js',
     output: [
-      // ESM 输出
+      // ESM 输出（module 字段，webpack 4 等不支持 import.meta 的构建工具）
       {
         file: pkg.module,
         format: 'es',
         sourcemap: true,
+        exports: 'named',
+        plugins: [stripImportMetaEnv()]
+      },
+      // ESM 输出（exports 的 import 条件，Vite 等支持 import.meta.env 的构建工具）
+      {
+        file: 'dist/index.mjs',
+        format: 'es',
+        sourcemap: true,
         exports: 'named'
       },
       // UMD 输出 (用于浏览器)
@@ -83,6 +103,27 @@ export default defineConfig([
     external,
     plugins
   },
+  // Source Map 还原工具 (仅 Node.js)
+  {
+    input: 'src/symbolicate.js',
+    output: [
+      {
+        file: 'dist/symbolicate.js',
+        format: 'cjs',
+        sourcemap: true,
+        exports: 'named'
+      },
+      {
+        file: 'dist/symbolicate.mjs',
+        format: 'es',
+        sourcemap: true,
+        exports: 'named'
+      }
+    ],
+    // source-map-js 打包进产物，不作为小程序包的运行时依赖
+    external: [...external, 'fs', 'path', 'http', 'https'],
+    plugins: [nodeResolve({ preferBuiltins: true }), commonjs(), ...plugins]
+  },
   // 生产环境构建 (压缩版本)
   {
     input: 'src/index.js',
@@ -16,6 +16,12 @@ declare module 'uniapp-error-monitor' {
     | 'network' 
     | 'api' 
     | 'manual'
+    | 'vue'
+    | 'vueWarn'
+    | 'digest'
+    | 'suppressed'
+    | 'session'
+    | 'abnormalExit'
 
   /**
    * 错误统计信息接口
@@ -28,6 +34,9 @@ declare module 'uniapp-error-monitor' {
     miniProgram: number
     api: number
     network: number
+    vue: number
+    /** 因频率限制或会话上限被抑制的错误数 */
+    suppressed: number
     lastErrorTime: number | null
   }
 
@@ -49,12 +58,383 @@ declare module 'uniapp-error-monitor' {
     retryDelay?: number
     /** 强制启用错误监控（忽略环境检查） */
     forceEnable?: boolean
-    /** 自定义发送器 */
-    sender?: (errorInfo: ErrorInfo) => Promise<void>
-    /** 自定义格式化函数 */
-    formatter?: (errorInfo: ErrorInfo) => string
+    /** 自定义发送器，替代内置的webhook发送（失败时同样会重试） */
+    sender?: ErrorSender
+    /** 自定义格式化函数，替代内置的消息格式 */
+    formatter?: ErrorFormatter
+    /** webhook传输协议或自定义适配器，默认 wecom */
+    transport?: TransportName | TransportAdapter
+    /** 传输协议选项 */
+    transportOptions?: TransportOptions
+    /** 发送失败时是否持久化到本地存储，待网络恢复或下次启动时补发（默认：true） */
+    enableOfflineQueue?: boolean
+    /** 离线队列最大条数（默认：50） */
+    offlineQueueMaxSize?: number
+    /** 离线队列中错误的最长保留时间(毫秒)（默认：86400000） */
+    offlineQueueMaxAge?: number
+    /** 是否启用批量汇总（默认：false） */
+    enableBatch?: boolean
+    /** 批量汇总时间窗口(毫秒)（默认：30000） */
+    batchInterval?: number
+    /** 批量汇总最大条数，达到后立即发送（默认：20） */
+    batchMaxSize?: number
+    /** 是否自动记录面包屑（默认：true） */
+    enableBreadcrumbs?: boolean
+    /** 面包屑最大条数（默认：20） */
+    maxBreadcrumbs?: number
+    /** 是否自动捕获 uni.request 成功回调中的接口错误（默认：false） */
+    enableApiError?: boolean
+    /** 接口错误捕获规则 */
+    apiErrorRules?: ApiErrorRules
+    /** 堆栈帧文件路径匹配时视为业务代码（优先于 inAppExclude） */
+    inAppInclude?: Array<string | RegExp>
+    /** 堆栈帧文件路径匹配时视为框架/第三方代码（在内置规则基础上追加） */
+    inAppExclude?: Array<string | RegExp>
+    /** 按前N个业务代码堆栈帧分组去重，true 时为3帧（默认：false） */
+    groupByStack?: boolean | number
+    /** 自定义错误指纹，返回值相同的错误视为同一错误；返回空值时使用内置规则 */
+    fingerprint?: ((errorInfo: ErrorInfo) => string | string[] | null | undefined) | null
+    /** 是否启用全局频率限制（令牌桶），超出时合并为一条抑制汇总（默认：false） */
+    enableRateLimit?: boolean
+    /** 令牌桶容量，即允许的突发发送条数（默认：10） */
+    rateLimitBurst?: number
+    /** 每分钟补充的令牌数（默认：10） */
+    rateLimitPerMinute?: number
+    /** 每次会话最多发送的错误数，0 表示不限制（默认：0） */
+    maxReportsPerSession?: number
+    /** 采样配置，未配置时全部上报 */
+    sampling?: SamplingOptions
+    /** 是否在格式化和发送前脱敏敏感信息（默认：true） */
+    enableRedaction?: boolean
+    /** 自定义脱敏规则，在内置规则基础上追加 */
+    redactRules?: RedactRules
+    /** 发送前钩子，在事件处理器之后执行，可修改错误信息，返回 null 时丢弃该错误 */
+    beforeSend?: EventProcessor | null
+    /** 是否启用会话跟踪，统计健康、出错和崩溃的会话数（默认：false） */
+    enableSession?: boolean
+    /** 应用在后台超过该时间(毫秒)后回到前台视为新会话（默认：30000） */
+    sessionTimeout?: number
+    /** 自动发送会话汇总的间隔(毫秒)，0 表示只在调用 sendSessionSummary 时发送（默认：0） */
+    sessionSummaryInterval?: number
+    /** 是否检测异常退出，下次启动时上报上次在前台被结束的运行（默认：false） */
+    enableAbnormalExitDetection?: boolean
+    /** 实例名称，多个实例时用于区分本地存储的数据（默认：'default'） */
+    name?: string
+    /** 该实例负责的页面路径前缀，自动捕获的错误按当前页面路由到匹配的实例；未配置的实例接收其余页面的错误 */
+    pageInclude?: Array<string | RegExp>
+    /** 是否输出调试日志（过滤、去重、丢弃等），等同于 logLevel: 'debug'（默认：false） */
+    debug?: boolean
+    /** 内部日志级别（默认：生产环境为 'silent'，其他环境为 'warn'） */
+    logLevel?: LogLevel
+    /** 自定义日志输出，默认输出到 console（带 [ErrorMonitor] 前缀） */
+    logger?: Logger | null
+    /** 环境检测配置，默认依次检测 uni 运行模式、小程序版本和构建工具注入的运行模式 */
+    environment?: EnvironmentOptions
   }
 
+  /**
+   * 环境检测配置
+   */
+  export interface EnvironmentOptions {
+    /** 显式指定运行模式，设置后不再自动检测，'development' 为非生产环境 */
+    mode?: string
+    /** 自定义生产环境判断，优先于其他配置 */
+    isProduction?: () => boolean
+    /** 运行模式的环境变量名（默认：Vite 为 'MODE'，webpack 为 'NODE_ENV'） */
+    modeKey?: string
+    /** webhook地址的环境变量名（默认：Vite 为 'VITE_WEBHOOK'，webpack 为 'VUE_APP_WEBHOOK'） */
+    webhookKey?: string
+  }
+
+  /**
+   * 内部日志级别
+   */
+  export type LogLevel = 'silent' | 'error' | 'warn' | 'info' | 'debug'
+
+  /**
+   * 内部日志级别常量
+   */
+  export const LOG_LEVEL: {
+    readonly SILENT: 'silent'
+    readonly ERROR: 'error'
+    readonly WARN: 'warn'
+    readonly INFO: 'info'
+    readonly DEBUG: 'debug'
+  }
+
+  /**
+   * 自定义日志输出，输出期间的 console 调用不会被错误监控捕获
+   */
+  export interface Logger {
+    debug(...args: any[]): void
+    info(...args: any[]): void
+    warn(...args: any[]): void
+    error(...args: any[]): void
+  }
+
+  /**
+   * 会话状态：healthy 无错误，errored 有非轻微错误，crashed 发生全局错误或小程序错误
+   */
+  export type SessionStatus = 'healthy' | 'errored' | 'crashed'
+
+  /**
+   * 会话
+   */
+  export interface Session {
+    /** 会话ID */
+    id: string
+    /** 版本号（projectInfo.version） */
+    release: string
+    /** 开始时间 */
+    startedAt: number
+    /** 最近一次错误的时间 */
+    updatedAt: number
+    /** 会话状态 */
+    status: SessionStatus
+    /** 影响会话状态的错误数 */
+    errors: number
+    /** 切到后台的时间，前台时为 null */
+    hiddenAt: number | null
+  }
+
+  /**
+   * 单个版本的会话统计
+   */
+  export interface SessionCounts {
+    total: number
+    healthy: number
+    errored: number
+    crashed: number
+    /** 无崩溃会话比例，0-1 */
+    crashFreeRate: number
+  }
+
+  /**
+   * 错误严重程度
+   */
+  export type ErrorSeverity = 'critical' | 'normal' | 'minor'
+
+  /**
+   * 采样配置，采样率为 0-1
+   */
+  export interface SamplingOptions {
+    /** 按错误类型配置采样率，优先于按严重程度配置，如 { network: 0.1 } */
+    types?: Partial<Record<ErrorType | 'pageNotFound', number>>
+    /** 按严重程度配置采样率，如 { normal: 0.5, minor: 0.1 } */
+    severities?: Partial<Record<ErrorSeverity, number>>
+  }
+
+  /**
+   * 自定义脱敏规则
+   */
+  export interface RedactRules {
+    /** 敏感字段名，字符串按忽略大小写的全等匹配，匹配的字段值整体替换为 "[已脱敏]" */
+    keys?: Array<string | RegExp>
+    /** 敏感内容规则，作用于所有字符串，默认替换为 "[已脱敏]" */
+    patterns?: Array<RegExp | { pattern: RegExp; replacement?: string }>
+  }
+
+  /**
+   * 结构化的堆栈帧
+   */
+  export interface StackFrame {
+    /** 函数名，匿名函数为空字符串 */
+    function: string
+    /** 文件路径或URL */
+    file: string
+    line: number
+    column: number
+    /** 是否为业务代码 */
+    inApp: boolean
+  }
+
+  /**
+   * 接口错误捕获规则
+   */
+  export interface ApiErrorRules {
+    /** 视为错误的HTTP状态码，可为具体值或 [最小值, 最大值] 范围（默认：[[400, 599]]） */
+    statusCodes?: Array<number | [number, number]>
+    /** 业务错误判断函数，如 res => res.data.code !== 0 */
+    isBusinessError?: ((res: { statusCode: number; data: any; header?: any }, requestOptions: any) => boolean) | null
+    /** URL白名单，设置后只捕获匹配的请求（字符串按包含匹配） */
+    include?: Array<string | RegExp>
+    /** URL黑名单，匹配的请求不捕获 */
+    exclude?: Array<string | RegExp>
+  }
+
+  /**
+   * 面包屑（操作轨迹）
+   */
+  export interface Breadcrumb {
+    /** 类型：navigation、http、console、lifecycle、manual 等 */
+    type?: string
+    /** 级别 */
+    level?: 'debug' | 'info' | 'warning' | 'error'
+    /** 描述 */
+    message: string
+    /** 附加数据 */
+    data?: Record<string, any>
+    /** 记录时间，默认为当前时间 */
+    timestamp?: number
+  }
+
+  /**
+   * 批量汇总中的一类错误
+   */
+  export interface DigestEvent {
+    /** 错误签名（与去重使用的签名一致） */
+    signature: string
+    type: ErrorType
+    /** 错误摘要 */
+    summary: string
+    /** 窗口内出现次数 */
+    count: number
+    /** 受影响的页面 */
+    pages: string[]
+    firstSeen: number
+    lastSeen: number
+    /** 首次出现时的完整错误信息 */
+    sample: ErrorInfo
+  }
+
+  /**
+   * 内置传输协议名称
+   */
+  export type TransportName = 'wecom' | 'dingtalk' | 'feishu' | 'lark' | 'slack' | 'json'
+
+  /**
+   * 传输协议常量
+   */
+  export const TRANSPORT: {
+    readonly WECOM: 'wecom'
+    readonly DINGTALK: 'dingtalk'
+    readonly FEISHU: 'feishu'
+    readonly LARK: 'lark'
+    readonly SLACK: 'slack'
+    readonly JSON: 'json'
+  }
+
+  /**
+   * 传输协议选项
+   */
+  export interface TransportOptions {
+    /** 钉钉加签 / 飞书签名校验密钥 */
+    secret?: string
+    /** 企业微信：@成员的 userid 列表 */
+    mentionedList?: string[]
+    /** 企业微信：@成员的手机号列表 */
+    mentionedMobileList?: string[]
+    /** 钉钉：@成员的手机号列表 */
+    atMobiles?: string[]
+    /** 钉钉：@成员的 userId 列表 */
+    atUserIds?: string[]
+    /** 钉钉：是否@所有人 */
+    isAtAll?: boolean
+    /** Slack：覆盖默认频道 */
+    channel?: string
+    /** Slack：覆盖默认用户名 */
+    username?: string
+    /** 额外的请求头 */
+    header?: Record<string, string>
+    [key: string]: unknown
+  }
+
+  /**
+   * 传输适配器构建请求时的上下文
+   */
+  export interface TransportRequestContext {
+    url: string
+    message: string
+    errorInfo: ErrorInfo
+    options: TransportOptions
+    projectInfo: { name: string; version: string }
+  }
+
+  /**
+   * 传输适配器生成的请求
+   */
+  export interface TransportRequest {
+    url?: string
+    data: any
+    header?: Record<string, string> | undefined
+  }
+
+  /**
+   * 自定义传输适配器
+   */
+  export interface TransportAdapter {
+    /** 根据错误信息构建webhook请求 */
+    buildRequest(context: TransportRequestContext): TransportRequest | Promise<TransportRequest>
+    /** 解析响应，返回平台错误描述（成功时返回空值），返回错误时会触发重试 */
+    parseResponse?(response: { statusCode?: number; data?: any }): string | null | undefined
+  }
+
+  /**
+   * 自定义发送器
+   * @param errorInfo 错误信息
+   * @param message 格式化后的消息（来自自定义格式化函数或内置格式）
+   */
+  export type ErrorSender = (errorInfo: ErrorInfo, message: string) => Promise<void> | void
+
+  /**
+   * 用户信息
+   */
+  export interface UserInfo {
+    id?: string | number
+    username?: string
+    email?: string
+    [key: string]: any
+  }
+
+  /**
+   * 作用域，通过 withScope / pushScope 创建，修改只作用于该作用域
+   */
+  export interface Scope {
+    readonly user: UserInfo | null
+    readonly tags: Record<string, string | number | boolean>
+    readonly contexts: Record<string, Record<string, any>>
+    readonly breadcrumbs: Breadcrumb[]
+    setUser(user: UserInfo | null): void
+    setTag(key: string, value: string | number | boolean | null | undefined): void
+    setTags(tags: Record<string, string | number | boolean | null | undefined>): void
+    setContext(name: string, context: Record<string, any> | null): void
+    /** 添加只属于该作用域的面包屑 */
+    addBreadcrumb(breadcrumb: Partial<Breadcrumb> & { message: string }): void
+  }
+
+  /**
+   * 错误处理流程的附加信息
+   */
+  export interface EventHint {
+    /** 原始错误对象（Error、Promise reason、console 参数、Vue 组件错误等） */
+    originalException?: any
+    /** 是否强制发送 */
+    forceSend?: boolean
+    /** 手动上报时传入的上下文 */
+    context?: Record<string, any>
+    /** Vue 组件实例（Vue 插件捕获时） */
+    instance?: any
+    /** 错误使用的作用域（wrapPromise 包装时记录） */
+    scope?: Scope
+  }
+
+  /**
+   * 事件处理器 / beforeSend 钩子
+   * 收到的 errorInfo 已按脱敏规则处理（hint.originalException 为未脱敏的原始错误），返回的错误信息在发送前会再次脱敏
+   * @returns 修改后的错误信息，返回 null 时丢弃该错误，未返回值时沿用收到的错误信息
+   */
+  export type EventProcessor = (
+    errorInfo: ErrorInfo,
+    hint: EventHint
+  ) => ErrorInfo | null | undefined | Promise<ErrorInfo | null | undefined>
+
+  /**
+   * 自定义格式化函数
+   * @param errorInfo 错误信息
+   * @returns 格式化后的消息
+   */
+  export type ErrorFormatter = (errorInfo: ErrorInfo) => string
+
   /**
    * 错误信息接口
    */
@@ -79,6 +459,8 @@ declare module 'uniapp-error-monitor' {
     environment?: string
     
     // 网络错误特有字段
+    /** 出错的 uni 网络API：request、uploadFile、downloadFile、connectSocket */
+    api?: 'request' | 'uploadFile' | 'downloadFile' | 'connectSocket'
     retryCount?: number
     networkType?: string
     isConnected?: boolean
@@ -99,6 +481,78 @@ declare module 'uniapp-error-monitor' {
     // 小程序错误特有字段
     path?: string
     query?: string
+
+    // Vue组件错误特有字段
+    /** 组件名称 */
+    componentName?: string
+    /** Vue 提供的生命周期/来源信息，如 "mounted hook" */
+    lifecycle?: string
+    /** 从当前组件到根组件的组件链 */
+    componentTrace?: string[]
+
+    /** 解析后的堆栈帧（调用栈顶部在前） */
+    frames?: StackFrame[]
+
+    /** 错误指纹，用于去重和批量汇总分组 */
+    fingerprint?: string
+
+    /** 上报时的采样率（0-1），统计时可用 1 / sampleRate 还原实际数量 */
+    sampleRate?: number
+
+    /** 当前用户（setUser） */
+    user?: UserInfo
+    /** 标签（setTag） */
+    tags?: Record<string, string | number | boolean>
+    /** 附加上下文（setContext） */
+    contexts?: Record<string, Record<string, any>>
+
+    /** 错误发生前的面包屑（操作轨迹） */
+    breadcrumbs?: Breadcrumb[]
+
+    /** 离线补报时，首次发送失败的时间 */
+    queuedAt?: number
+
+    /** 是否为初始化前捕获、初始化后补报的错误（timestamp 为捕获时间） */
+    buffered?: boolean
+
+    // 批量汇总（type 为 digest）特有字段
+    total?: number
+    events?: DigestEvent[]
+
+    // 抑制汇总（type 为 suppressed）特有字段
+    /** 被抑制的错误数 */
+    count?: number
+    /** 首次抑制的时间 */
+    since?: number
+    /** 抑制原因 */
+    reasons?: Array<'rateLimit' | 'sessionLimit'>
+
+    // 会话统计（type 为 session）特有字段，另有 total 表示会话总数
+    /** 版本号 */
+    release?: string
+    healthy?: number
+    errored?: number
+    crashed?: number
+    crashFreeRate?: number
+
+    // 异常退出（type 为 abnormalExit）特有字段，page、url 和 breadcrumbs 为上次运行的值
+    /** 上次运行的启动时间 */
+    startedAt?: number
+    /** 上次运行最后一次更新运行标记的时间 */
+    lastActiveAt?: number
+    /** 上次运行最后捕获的致命错误 */
+    lastFatalError?: FatalErrorRecord | null
+  }
+
+  /**
+   * 运行标记中记录的致命错误（全局错误或小程序错误）
+   */
+  export interface FatalErrorRecord {
+    type: 'global' | 'miniProgram'
+    message: string
+    stack?: string
+    timestamp: number
+    page: string
   }
 
   /**
@@ -106,9 +560,12 @@ declare module 'uniapp-error-monitor' {
    */
   export interface EnvironmentInfo {
     isProduction: boolean
-    mode: string
+    /** 显式指定或构建工具注入的运行模式，无法获取时为 undefined */
+    mode: string | undefined
     platform: string
     errorMonitorEnabled: boolean
+    /** 当前错误级别，未初始化时为 'silent' */
+    errorLevel: 'strict' | 'standard' | 'silent'
     timestamp: number
   }
 
@@ -124,6 +581,12 @@ declare module 'uniapp-error-monitor' {
      */
     initErrorMonitor(options?: ErrorMonitorOptions): void
 
+    /**
+     * 销毁错误监控：发送缓冲区中的错误，卸载所有钩子并还原被替换的全局函数和 Vue 处理函数，清除发送器和格式化函数
+     * 销毁后上报的错误会被丢弃，可再次调用 initErrorMonitor 重新初始化
+     */
+    destroy(): void
+
     /**
      * 手动上报错误
      * @param type 错误类型
@@ -157,15 +620,83 @@ declare module 'uniapp-error-monitor' {
 
     /**
      * 设置自定义发送器
-     * @param sender 自定义发送器函数
+     * @param sender 自定义发送器函数，传入 null 恢复内置的webhook发送
      */
-    setSender(sender: (errorInfo: ErrorInfo) => Promise<void>): void
+    setSender(sender: ErrorSender | null): void
 
     /**
      * 设置自定义格式化函数
-     * @param formatter 自定义格式化函数
+     * @param formatter 自定义格式化函数，传入 null 恢复内置的消息格式
+     */
+    setFormatter(formatter: ErrorFormatter | null): void
+
+    /**
+     * 添加事件处理器，所有捕获的错误在发送前依次经过事件处理器和 beforeSend
+     * @param processor 事件处理器，返回 null 时丢弃该错误
+     * @returns 移除该事件处理器的函数
+     */
+    addEventProcessor(processor: EventProcessor): () => void
+
+    /**
+     * 设置当前用户，合并到之后的每条错误中
+     * @param user 用户信息，传入 null 清除
+     */
+    setUser(user: UserInfo | null): void
+
+    /**
+     * 设置标签，合并到之后的每条错误中
+     * @param key 标签名
+     * @param value 标签值，传入 null 或 undefined 删除该标签
+     */
+    setTag(key: string, value: string | number | boolean | null | undefined): void
+
+    /**
+     * 批量设置标签
+     * @param tags 标签对象
+     */
+    setTags(tags: Record<string, string | number | boolean | null | undefined>): void
+
+    /**
+     * 设置附加上下文，合并到之后的每条错误中
+     * @param name 上下文名称
+     * @param context 上下文数据，传入 null 删除该上下文
+     */
+    setContext(name: string, context: Record<string, any> | null): void
+
+    /**
+     * 创建子作用域并压入作用域栈，需配合 popScope 使用
+     * @returns 子作用域
+     */
+    pushScope(): Scope
+
+    /**
+     * 弹出当前作用域（全局作用域不会被弹出）
+     * @returns 是否弹出成功
+     */
+    popScope(): boolean
+
+    /**
+     * 在子作用域中执行回调，作用域中的标签、上下文和面包屑只作用于回调内上报的错误
+     * @param callback 回调函数
+     * @returns 回调的返回值
      */
-    setFormatter(formatter: (errorInfo: ErrorInfo) => string): void
+    withScope<T>(callback: (scope: Scope) => T): T
+
+    /**
+     * 获取当前会话，未启用会话跟踪时返回 null
+     */
+    getSession(): Session | null
+
+    /**
+     * 获取待上报的会话统计（按版本分组，包含当前会话）
+     */
+    getSessionSummary(): Record<string, SessionCounts>
+
+    /**
+     * 发送会话统计，每个版本一条，发送后清空已结束会话的统计
+     * @param forceSend 是否强制发送（忽略环境检查）
+     */
+    sendSessionSummary(forceSend?: boolean): void
 
     /**
      * 包装Promise以自动捕获错误
@@ -173,6 +704,42 @@ declare module 'uniapp-error-monitor' {
      * @returns 包装后的Promise
      */
     wrapPromise<T>(promise: Promise<T>): Promise<T>
+
+    /**
+     * 补发离线队列中的错误（初始化和网络恢复时会自动调用）
+     */
+    flushOfflineQueue(): Promise<void>
+
+    /**
+     * 获取离线队列中待补发的错误数量
+     */
+    getOfflineQueueSize(): number
+
+    /**
+     * 清空离线队列
+     */
+    clearOfflineQueue(): void
+
+    /**
+     * 立即发送批量汇总缓冲区中的错误
+     */
+    flushBatch(): void
+
+    /**
+     * 添加一条面包屑（操作轨迹）
+     * @param breadcrumb 面包屑
+     */
+    addBreadcrumb(breadcrumb: Breadcrumb): void
+
+    /**
+     * 获取当前记录的面包屑
+     */
+    getBreadcrumbs(): Breadcrumb[]
+
+    /**
+     * 清空面包屑
+     */
+    clearBreadcrumbs(): void
   }
 
   /**
@@ -181,6 +748,11 @@ declare module 'uniapp-error-monitor' {
    */
   export function initErrorMonitor(options?: ErrorMonitorOptions): void
 
+  /**
+   * 便捷方法 - 销毁错误监控
+   */
+  export function destroyErrorMonitor(): void
+
   /**
    * 便捷方法 - 手动上报错误
    * @param type 错误类型
@@ -219,6 +791,158 @@ declare module 'uniapp-error-monitor' {
    */
   export function wrapPromise<T>(promise: Promise<T>): Promise<T>
 
+  /**
+   * 便捷方法 - 补发离线队列中的错误
+   */
+  export function flushOfflineQueue(): Promise<void>
+
+  /**
+   * 便捷方法 - 获取离线队列中待补发的错误数量
+   */
+  export function getOfflineQueueSize(): number
+
+  /**
+   * 便捷方法 - 清空离线队列
+   */
+  export function clearOfflineQueue(): void
+
+  /**
+   * 便捷方法 - 立即发送批量汇总缓冲区中的错误
+   */
+  export function flushBatch(): void
+
+  /**
+   * 便捷方法 - 添加一条面包屑（操作轨迹）
+   * @param breadcrumb 面包屑
+   */
+  export function addBreadcrumb(breadcrumb: Breadcrumb): void
+
+  /**
+   * 便捷方法 - 获取当前记录的面包屑
+   */
+  export function getBreadcrumbs(): Breadcrumb[]
+
+  /**
+   * 便捷方法 - 清空面包屑
+   */
+  export function clearBreadcrumbs(): void
+
+  /**
+   * 便捷方法 - 设置自定义发送器
+   * @param sender 自定义发送器函数，传入 null 恢复内置的webhook发送
+   */
+  export function setSender(sender: ErrorSender | null): void
+
+  /**
+   * 便捷方法 - 设置自定义格式化函数
+   * @param formatter 自定义格式化函数，传入 null 恢复内置的消息格式
+   */
+  export function setFormatter(formatter: ErrorFormatter | null): void
+
+  /**
+   * 便捷方法 - 添加事件处理器
+   * @param processor 事件处理器，返回 null 时丢弃该错误
+   * @returns 移除该事件处理器的函数
+   */
+  export function addEventProcessor(processor: EventProcessor): () => void
+
+  /**
+   * 便捷方法 - 设置当前用户
+   * @param user 用户信息，传入 null 清除
+   */
+  export function setUser(user: UserInfo | null): void
+
+  /**
+   * 便捷方法 - 设置标签
+   * @param key 标签名
+   * @param value 标签值，传入 null 或 undefined 删除该标签
+   */
+  export function setTag(key: string, value: string | number | boolean | null | undefined): void
+
+  /**
+   * 便捷方法 - 批量设置标签
+   * @param tags 标签对象
+   */
+  export function setTags(tags: Record<string, string | number | boolean | null | undefined>): void
+
+  /**
+   * 便捷方法 - 设置附加上下文
+   * @param name 上下文名称
+   * @param context 上下文数据，传入 null 删除该上下文
+   */
+  export function setContext(name: string, context: Record<string, any> | null): void
+
+  /**
+   * 便捷方法 - 创建子作用域并压入作用域栈
+   * @returns 子作用域
+   */
+  export function pushScope(): Scope
+
+  /**
+   * 便捷方法 - 弹出当前作用域
+   * @returns 是否弹出成功
+   */
+  export function popScope(): boolean
+
+  /**
+   * 便捷方法 - 在子作用域中执行回调
+   * @param callback 回调函数
+   * @returns 回调的返回值
+   */
+  export function withScope<T>(callback: (scope: Scope) => T): T
+
+  /**
+   * 便捷方法 - 获取当前会话
+   */
+  export function getSession(): Session | null
+
+  /**
+   * 便捷方法 - 获取待上报的会话统计
+   */
+  export function getSessionSummary(): Record<string, SessionCounts>
+
+  /**
+   * 便捷方法 - 发送会话统计
+   * @param forceSend 是否强制发送（忽略环境检查）
+   */
+  export function sendSessionSummary(forceSend?: boolean): void
+
+  /**
+   * 解析堆栈字符串为结构化的堆栈帧
+   * 支持 V8（Android / H5）、JavaScriptCore（iOS）、SpiderMonkey（Firefox）和微信小程序 appservice 堆栈格式
+   * @param stack 原始堆栈字符串
+   * @param options 业务代码判断规则
+   * @returns 堆栈帧列表
+   */
+  export function parseStackTrace(
+    stack: string,
+    options?: { inAppInclude?: Array<string | RegExp>; inAppExclude?: Array<string | RegExp> }
+  ): StackFrame[]
+
+  /**
+   * Vue 错误监控插件选项（Vue 2 和 Vue 3 通用）
+   */
+  export interface VueErrorPluginOptions {
+    /** 使用的错误监控实例，默认为默认实例 */
+    monitor?: ErrorMonitor
+    /** 是否捕获Vue警告（默认：true，仅开发构建会触发） */
+    captureWarnings?: boolean
+  }
+
+  /**
+   * Vue 3 错误监控插件，通过 app.use(VueErrorPlugin) 安装
+   */
+  export const VueErrorPlugin: {
+    install(app: any, options?: VueErrorPluginOptions): void
+  }
+
+  /**
+   * Vue 2 错误监控插件，通过 Vue.use(Vue2ErrorPlugin) 安装
+   */
+  export const Vue2ErrorPlugin: {
+    install(Vue: any, options?: VueErrorPluginOptions): void
+  }
+
   /**
    * 默认实例 - 向后兼容
    */
@@ -226,6 +950,109 @@ declare module 'uniapp-error-monitor' {
   export default errorMonitor
 }
 
+/**
+ * Source Map 还原工具（仅 Node.js 环境）
+ */
+declare module 'uniapp-error-monitor/symbolicate' {
+  import type { Server } from 'http'
+  import type { ErrorInfo, StackFrame, TransportAdapter, TransportName, TransportOptions } from 'uniapp-error-monitor'
+
+  /**
+   * 源码上下文
+   */
+  export interface SourceContext {
+    /** 出错行之前的源码 */
+    pre: string[]
+    /** 出错行源码 */
+    line: string
+    /** 出错行之后的源码 */
+    post: string[]
+  }
+
+  /**
+   * 还原后的源码位置
+   */
+  export interface OriginalPosition {
+    source: string
+    line: number
+    column: number
+    /** 映射位置上的标识符名称（通常是被调用的函数），不是出错代码所在的函数 */
+    name: string | null
+    /** Source Map 未包含源码时为 null */
+    context: SourceContext | null
+  }
+
+  /**
+   * 还原后的堆栈帧
+   */
+  export interface SymbolicatedFrame extends StackFrame {
+    /** 未找到对应 Source Map 时为 null */
+    original: OriginalPosition | null
+  }
+
+  /**
+   * 还原器配置
+   */
+  export interface SymbolicatorOptions {
+    /** .map 文件所在目录 */
+    sourceMapDir: string
+    /** 源码上下文行数（默认：3） */
+    contextLines?: number
+  }
+
+  /**
+   * Source Map 还原器
+   */
+  export class Symbolicator {
+    constructor(options: SymbolicatorOptions)
+    /** 已发现的 Source Map 数量 */
+    readonly size: number
+    symbolicateFrame(frame: StackFrame): SymbolicatedFrame
+    symbolicateStack(stack: string): SymbolicatedFrame[]
+    /** 支持 errorInfo 对象或 json 传输协议的 { message, project, errorInfo } 载荷 */
+    symbolicateReport(
+      report: Partial<ErrorInfo> | { message?: string; project?: any; errorInfo: Partial<ErrorInfo> }
+    ): Partial<ErrorInfo> & { symbolicatedFrames: SymbolicatedFrame[] }
+    destroy(): void
+  }
+
+  /**
+   * 将还原后的堆栈帧格式化为文本
+   */
+  export function formatSymbolicatedFrames(
+    frames: SymbolicatedFrame[],
+    options?: { context?: boolean; limit?: number }
+  ): string
+
+  /**
+   * 还原转发服务配置
+   */
+  export interface SymbolicationServerOptions extends SymbolicatorOptions {
+    /** 转发目标 webhook 地址 */
+    forwardUrl: string
+    /** 转发使用的传输协议（默认：'wecom'） */
+    transport?: TransportName | TransportAdapter
+    /** 传输协议选项 */
+    transportOptions?: TransportOptions
+    /** 访问令牌，设置后请求需携带 Authorization: Bearer <token> 请求头或 ?token=<token> 参数 */
+    token?: string
+    /** 允许跨域访问的来源（默认：'*'），服务会响应 H5 页面的 CORS 预检请求 */
+    corsOrigin?: string
+  }
+
+  /**
+   * 创建本地还原转发服务，返回未启动的HTTP服务
+   * 未设置 token 时应只监听本机地址：server.listen(port, DEFAULT_SERVER_HOST)
+   */
+  export function createSymbolicationServer(options: SymbolicationServerOptions): Server
+
+  /** 转发服务默认端口 */
+  export const DEFAULT_SERVER_PORT: number
+
+  /** 转发服务默认监听地址（'127.0.0.1'） */
+  export const DEFAULT_SERVER_HOST: string
+}
+
 // 全局类型声明（如果需要在全局使用）
 declare global {
   interface Window {
@@ -1,3 +1,5 @@
+import { TRANSPORT, resolveTransport } from './transport.js'
+
 /**
  * 错误级别常量
  * @constant {Object}
@@ -10,6 +12,38 @@ export const ERROR_LEVEL = {
   STANDARD: 'standard', // 基本错误监控
   SILENT: 'silent', // 仅监控严重的错误
 }
+/**
+ * 内部日志级别常量
+ * @constant {Object}
+ * @property {string} SILENT - 不输出日志（生产环境默认）
+ * @property {string} ERROR - 只输出错误
+ * @property {string} WARN - 输出错误和警告（非生产环境默认）
+ * @property {string} INFO - 另外输出初始化、发送等信息
+ * @property {string} DEBUG - 另外输出过滤、去重等调试信息（debug: true）
+ */
+export const LOG_LEVEL = {
+  SILENT: 'silent',
+  ERROR: 'error',
+  WARN: 'warn',
+  INFO: 'info',
+  DEBUG: 'debug',
+}
+/**
+ * 日志级别优先级，数值越大输出越多
+ * @private
+ */
+const LOG_LEVEL_PRIORITY = {
+  [LOG_LEVEL.SILENT]: 0,
+  [LOG_LEVEL.ERROR]: 1,
+  [LOG_LEVEL.WARN]: 2,
+  [LOG_LEVEL.INFO]: 3,
+  [LOG_LEVEL.DEBUG]: 4,
+}
+/**
+ * 内部日志前缀
+ * @constant {string}
+ */
+const LOG_PREFIX = '[ErrorMonitor]'
 /**
  * 错误类型严重程度映射
  * @private
@@ -23,310 +57,1375 @@ const ERROR_SEVERITY = {
   console: 'minor', // Console错误 - 轻微
   manual: 'normal', // 手动上报 - 普通
   pageNotFound: 'critical', // 页面未找到 - 严重
+  vue: 'critical', // Vue组件错误 - 严重
+  vueWarn: 'minor', // Vue警告 - 轻微
+  abnormalExit: 'critical', // 异常退出 - 严重
 }
 /**
  * 默认错误去重间隔时间（毫秒）
  * @constant {number}
  */
 const DEFAULT_DEDUP_INTERVAL = 60 * 1000 // 1分钟
+/**
+ * 离线队列在本地存储中的键名
+ * @constant {string}
+ */
+const OFFLINE_QUEUE_STORAGE_KEY = '__uniapp_error_monitor_outbox__'
+/**
+ * 当前会话的本地存储键名
+ * @constant {string}
+ */
+const SESSION_STORAGE_KEY = '__uniapp_error_monitor_session__'
+/**
+ * 已结束、待汇总上报的会话统计的本地存储键名
+ * @constant {string}
+ */
+const SESSION_SUMMARY_STORAGE_KEY = '__uniapp_error_monitor_session_summary__'
+/**
+ * 默认会话超时时间(毫秒)，应用在后台超过该时间后回到前台视为新会话
+ * @constant {number}
+ */
+const DEFAULT_SESSION_TIMEOUT = 30 * 1000 // 30秒
+/**
+ * 导致会话状态变为 crashed 的错误类型（未捕获的致命错误）
+ * @constant {string[]}
+ */
+const CRASH_ERROR_TYPES = ['global', 'miniProgram']
+/**
+ * 由监控自身生成的汇总类消息类型，不进入批量汇总
+ * @constant {string[]}
+ */
+const SUMMARY_EVENT_TYPES = ['digest', 'suppressed', 'session']
+/**
+ * 运行标记的本地存储键名，用于检测上次启动是否异常退出
+ * @constant {string}
+ */
+const RUN_MARKER_STORAGE_KEY = '__uniapp_error_monitor_run_marker__'
+/**
+ * 默认实例名称，使用不带后缀的本地存储键名
+ * @constant {string}
+ */
+const DEFAULT_CLIENT_NAME = 'default'
+/**
+ * 离线队列默认最大条数
+ * @constant {number}
+ */
+const DEFAULT_OFFLINE_QUEUE_MAX_SIZE = 50
+/**
+ * 离线队列默认最长保留时间（毫秒）
+ * @constant {number}
+ */
+const DEFAULT_OFFLINE_QUEUE_MAX_AGE = 24 * 60 * 60 * 1000 // 1天
+/**
+ * 批量汇总默认时间窗口（毫秒）
+ * @constant {number}
+ */
+const DEFAULT_BATCH_INTERVAL = 30 * 1000 // 30秒
+/**
+ * 批量汇总默认最大条数，达到后立即发送
+ * @constant {number}
+ */
+const DEFAULT_BATCH_MAX_SIZE = 20
+/**
+ * 默认面包屑（操作轨迹）最大条数
+ * @constant {number}
+ */
+const DEFAULT_MAX_BREADCRUMBS = 20
+/**
+ * 初始化前缓冲的最大错误数，超出后丢弃后来的错误（保留最早的启动错误）
+ * @constant {number}
+ */
+const MAX_PRE_INIT_BUFFER_SIZE = 30
+/**
+ * 错误消息中展示的面包屑条数
+ * @constant {number}
+ */
+const FORMATTED_BREADCRUMBS_COUNT = 10
+/**
+ * 错误消息中展示的关键堆栈帧数
+ * @constant {number}
+ */
+const FORMATTED_STACK_FRAMES_COUNT = 3
+/**
+ * 按堆栈分组时默认使用的业务代码堆栈帧数
+ * @constant {number}
+ */
+const DEFAULT_FINGERPRINT_FRAMES_COUNT = 3
+/**
+ * 频率限制默认令牌桶容量（允许的突发发送条数）
+ * @constant {number}
+ */
+const DEFAULT_RATE_LIMIT_BURST = 10
+/**
+ * 频率限制默认每分钟补充的令牌数
+ * @constant {number}
+ */
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 10
+/**
+ * 达到会话上限后发送抑制汇总的延迟时间(毫秒)，期间被抑制的错误合并为一条汇总
+ * @constant {number}
+ */
+const SUPPRESSED_SUMMARY_DELAY = 60 * 1000 // 1分钟
+/**
+ * 脱敏后的替换文本
+ * @constant {string}
+ */
+const REDACTED = '[已脱敏]'
+/**
+ * 敏感字段关键词：认证信息、Cookie、密码、令牌、密钥、手机号、身份证号
+ * @private
+ */
+const SENSITIVE_KEYWORDS = 'authorization|cookie|passw(?:or)?d|pwd|token|secret|api[-_]?key|credential|phone|mobile|id[-_]?card|id[-_]?no'
+/**
+ * 内置敏感字段名规则（对象键名匹配时整体替换）
+ * @private
+ */
+const DEFAULT_REDACT_KEY_PATTERN = new RegExp(SENSITIVE_KEYWORDS, 'i')
+/**
+ * 内置敏感内容规则（作用于所有字符串）
+ * 不使用后行断言，兼容低版本 iOS JavaScriptCore
+ * @private
+ */
+const DEFAULT_REDACT_PATTERNS = [
+  // Bearer / Basic 认证令牌
+  { pattern: /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, replacement: `$1 ${REDACTED}` },
+  // 查询参数、表单、JSON、请求头中的敏感键值对，如 ?token=xxx、"password":"xxx"、Cookie: xxx
+  {
+    pattern: new RegExp(`(["']?[\\w-]*(?:${SENSITIVE_KEYWORDS})[\\w-]*["']?\\s*[:=]\\s*["']?)(?!(?:Bearer|Basic)\\s|\\[已脱敏\\])[^"'&,;\\s}]+`, 'gi'),
+    replacement: `$1${REDACTED}`,
+  },
+  // 身份证号（18位 / 15位）
+  { pattern: /(^|\D)(\d{17}[\dXx]|\d{15})(?![\dXx])/g, replacement: `$1${REDACTED}` },
+  // 手机号
+  { pattern: /(^|\D)(?:\+?86[-\s]?)?1[3-9]\d{9}(?!\d)/g, replacement: `$1${REDACTED}` },
+]
+/**
+ * 脱敏时对象遍历的最大深度
+ * @constant {number}
+ */
+const MAX_REDACT_DEPTH = 10
+/**
+ * 单个错误最多解析的堆栈帧数
+ * @constant {number}
+ */
+const MAX_STACK_FRAMES = 50
+/**
+ * 内置的非业务代码堆栈帧规则（小程序基础库、uni-app框架、Vue运行时、第三方依赖、原生代码）
+ * @private
+ */
+const NON_APP_FRAME_PATTERNS = [
+  /node_modules/,
+  /WAService|WAWebview|WASubContext|WAServiceMainContext/,
+  /__dev__|__pageframe__|appservice\/__/,
+  /@dcloudio|uni-app|uni-h5|uni-mp-|uni\.api|uni-core/,
+  /common\/vendor\.js/,
+  /chunk-vendors/,
+  /vue\.runtime|runtime-core|runtime-dom|reactivity/,
+  /\[native code\]|^native$|<anonymous>/,
+]
+/**
+ * 需要记录面包屑的路由跳转方法
+ * @private
+ */
+const NAVIGATION_METHODS = ['navigateTo', 'redirectTo', 'reLaunch', 'switchTab', 'navigateBack']
+/**
+ * 需要记录面包屑的console方法
+ * @private
+ */
+const CONSOLE_BREADCRUMB_LEVELS = ['log', 'info', 'warn', 'error']
+/**
+ * 默认的接口错误HTTP状态码范围
+ * @constant {Array}
+ */
+const DEFAULT_API_ERROR_STATUS_CODES = [[400, 599]]
+/**
+ * 需要拦截的 uni 网络API（connectSocket 单独处理）
+ * @private
+ */
+const NETWORK_APIS = ['request', 'uploadFile', 'downloadFile']
+/**
+ * 视为正常关闭的 WebSocket 关闭码（1000 正常关闭，1001 离开页面）
+ * @private
+ */
+const NORMAL_SOCKET_CLOSE_CODES = [1000, 1001]
+/**
+ * 错误类型显示名称
+ * @private
+ */
+const ERROR_TYPE_LABELS = {
+  global: '全局错误',
+  promise: 'Promise错误',
+  console: 'Console错误',
+  miniProgram: '小程序错误',
+  pageNotFound: '页面未找到',
+  network: '网络错误',
+  api: '接口错误',
+  manual: '手动上报',
+  vue: 'Vue组件错误',
+  vueWarn: 'Vue警告',
+  abnormalExit: '异常退出',
+}
+/**
+ * 上报抑制原因显示名称
+ * @private
+ */
+const SUPPRESSED_REASON_LABELS = {
+  rateLimit: '触发频率限制',
+  sessionLimit: '达到本次会话上报上限',
+}
+/**
+ * 构建工具注入的环境变量来源，按顺序读取，取第一个有值的结果
+ * 变量名可通过 environment.modeKey / environment.webhookKey 覆盖
+ * @private
+ */
+const BUILD_ENV_ADAPTERS = [
+  {
+    // Vite：import.meta.env
+    read: () => import.meta.env,
+    modeKey: 'MODE',
+    webhookKey: 'VITE_WEBHOOK',
+  },
+  {
+    // webpack（HBuilderX Vue 2、vue-cli）：由 DefinePlugin 替换的 process.env
+    read: () => process.env,
+    modeKey: 'NODE_ENV',
+    webhookKey: 'VUE_APP_WEBHOOK',
+  },
+]
+/**
+ * 小程序非正式版本：开发版、体验版
+ * @private
+ */
+const NON_RELEASE_ENV_VERSIONS = ['develop', 'trial']
 
 /**
- * 错误监控和上报类
+ * 作用域：保存用户、标签、附加上下文和作用域内的面包屑
+ * 通过 withScope / pushScope 创建子作用域，子作用域继承父作用域的数据，修改只在子作用域内生效
  */
-class ErrorMonitor {
-	constructor(options = {}) {
-		// 初始化错误统计
-		this.errorStats = {
-			total: 0,
-			global: 0,
-			promise: 0,
-			console: 0,
-			miniProgram: 0,
-			api: 0,
-			network: 0,
-			lastErrorTime: null,
-		}
-		// Promise包装方法
-		this.wrapPromise = null
-		// 配置信息
-		this.config = null
-		// 项目信息
-		this.projectInfo = {
-			name: '未命名项目',
-			version: '0.0.0',
-		}
-		// 错误去重缓存：存储最近上报的错误签名和时间戳
-		this._errorCache = new Map()
-		// 尝试从 manifest.json 加载项目信息
-		this._loadProjectInfo()
-		// 应用初始配置
-		if (Object.keys(options).length > 0) {
-			this.initErrorMonitor(options)
-		}
-	}  /**
-   * 检测是否为生产环境
-   * @private
-   * @returns {boolean} 是否为生产环境
+class Scope {
+  /**
+   * @param {Scope} [parent] 父作用域
    */
-  _isProduction() {
-    // 检查uniapp运行模式
-    try {
-      const systemInfo = uni.getSystemInfoSync?.()
-      if (systemInfo?.mode && systemInfo.mode !== 'default') {
-        // 体验版、开发版、预览版
-        return false
-      }
-    } catch (error) {
-      // 忽略错误，继续检测
+  constructor(parent) {
+    this.user = parent?.user ? { ...parent.user } : null
+    this.tags = { ...parent?.tags }
+    this.contexts = { ...parent?.contexts }
+    this.breadcrumbs = parent ? parent.breadcrumbs.slice() : []
+  }
+  /**
+   * 设置当前用户
+   * @param {Object|null} user 用户信息，传入 null 清除
+   */
+  setUser(user) {
+    this.user = user ? { ...user } : null
+  }
+  /**
+   * 设置标签
+   * @param {string} key 标签名
+   * @param {string|number|boolean|null} value 标签值，传入 null 或 undefined 删除该标签
+   */
+  setTag(key, value) {
+    if (value === undefined || value === null) {
+      delete this.tags[key]
+      return
     }
-    // 检查环境变量MODE
-    if (import.meta.env.MODE === 'development') {
-      return false
+    this.tags[key] = value
+  }
+  /**
+   * 批量设置标签
+   * @param {Object} tags 标签对象
+   */
+  setTags(tags = {}) {
+    Object.keys(tags).forEach(key => this.setTag(key, tags[key]))
+  }
+  /**
+   * 设置附加上下文
+   * @param {string} name 上下文名称
+   * @param {Object|null} context 上下文数据，传入 null 删除该上下文
+   */
+  setContext(name, context) {
+    if (context === undefined || context === null) {
+      delete this.contexts[name]
+      return
     }
-    // 默认：开发环境和体验版不启用，生产环境启用
-    return true
+    this.contexts[name] = { ...context }
   }
   /**
-  	 * 初始化全局错误监控
-  	 * @param {Object} options 配置选项
-  	 * @param {boolean} [options.enableGlobalError=true] 是否启用全局错误捕获
-  	 * @param {boolean} [options.enablePromiseError=true] 是否启用Promise错误捕获
-  	 * @param {boolean} [options.enableConsoleError=true] 是否启用console.error捕获
-  	 * @param {string} [options.webhookUrl] 自定义webhook地址，不传则使用环境变量
-  	 * @param {number} [options.maxRetries=3] 发送失败时最大重试次数
-  	 * @param {number} [options.retryDelay=1000] 重试延迟时间(毫秒)
-  	 * @param {boolean} [options.forceEnable=false] 强制启用错误监控（忽略环境检查）
-  	 * @param {string} [options.errorLevel='standard'] 错误级别：strict(所有错误)、standard(基本错误)、silent(仅严重错误)
-  	 * @param {number} [options.dedupInterval=60000] 相同错误去重间隔时间(毫秒)，默认1分钟
-  	 */
-  	initErrorMonitor(options = {}) {
-  		const config = {
-  			enableGlobalError: true,
-  			enablePromiseError: true,
-  			enableConsoleError: false,
-  			webhookUrl: import.meta.env.VITE_WEBHOOK,
-  			maxRetries: 3,
-  			retryDelay: 1000,
-  			forceEnable: false,
-  			errorLevel: ERROR_LEVEL.SILENT, // 默认静默模式
-  			dedupInterval: DEFAULT_DEDUP_INTERVAL, // 默认1分钟去重间隔
-  			...options,
-  		}    // 环境检查：只在生产环境下启用错误监控
-    if (!config.forceEnable && !this._isProduction()) {
-      console.info('当前为非生产环境，错误监控已禁用')
+   * 添加只属于该作用域的面包屑
+   * @param {Object} breadcrumb 面包屑
+   */
+  addBreadcrumb(breadcrumb = {}) {
+    this.breadcrumbs.push(createBreadcrumb(breadcrumb))
+    if (this.breadcrumbs.length > DEFAULT_MAX_BREADCRUMBS) {
+      this.breadcrumbs.splice(0, this.breadcrumbs.length - DEFAULT_MAX_BREADCRUMBS)
+    }
+  }
+}
+
+/**
+ * 正在执行的监控自身操作（输出日志、发送上报）的层数，大于 0 时 console 捕获、面包屑和网络拦截忽略这些操作
+ * @private
+ */
+let internalDepth = 0
+/**
+ * 以监控自身操作的身份执行函数，期间的 console 输出和发起的网络请求不会被捕获为错误或面包屑
+ * @private
+ * @param {Function} fn 要执行的函数
+ * @returns {*} 函数返回值
+ */
+function runInternal(fn) {
+  internalDepth++
+  try {
+    return fn()
+  } finally {
+    internalDepth--
+  }
+}
+/**
+ * 内部日志，按级别过滤后输出到 console 或自定义 logger
+ */
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level='warn'] 日志级别
+   * @param {Object} [options.output] 自定义输出对象，需实现 debug、info、warn、error 方法，默认为 console
+   */
+  constructor({ level = LOG_LEVEL.WARN, output = null } = {}) {
+    this.level = LOG_LEVEL_PRIORITY[level] === undefined ? LOG_LEVEL.WARN : level
+    this.output = output
+  }
+  debug(...args) {
+    this._write(LOG_LEVEL.DEBUG, args)
+  }
+  info(...args) {
+    this._write(LOG_LEVEL.INFO, args)
+  }
+  warn(...args) {
+    this._write(LOG_LEVEL.WARN, args)
+  }
+  error(...args) {
+    this._write(LOG_LEVEL.ERROR, args)
+  }
+  /**
+   * 输出日志
+   * @private
+   * @param {string} level 日志级别
+   * @param {Array} args 日志内容
+   */
+  _write(level, args) {
+    if (LOG_LEVEL_PRIORITY[level] > LOG_LEVEL_PRIORITY[this.level]) {
       return
     }
-    // 检查webhook配置
-    if (!config.webhookUrl) {
-      console.warn('错误监控初始化失败：未配置webhook地址')
+    // 自定义输出不添加前缀
+    const output = this.output || console
+    const method = typeof output[level] === 'function' ? output[level] : output.log
+    if (typeof method !== 'function') {
       return
     }
-    // 验证错误级别
-    const validLevels = [ERROR_LEVEL.STRICT, ERROR_LEVEL.STANDARD, ERROR_LEVEL.SILENT]
-    if (!validLevels.includes(config.errorLevel)) {
-      console.warn(`无效的错误级别 "${config.errorLevel}"，使用默认值 "standard"`)
-      config.errorLevel = ERROR_LEVEL.SILENT
+    try {
+      runInternal(() => method.apply(output, this.output ? args : [LOG_PREFIX, ...args]))
+    } catch (error) {
+      // 日志输出失败不影响错误上报
     }
-    this.config = config
-    // 输出错误级别信息
-    const levelDescriptions = {
-      [ERROR_LEVEL.STRICT]: '严格模式 - 监控所有错误',
-      [ERROR_LEVEL.STANDARD]: '标准模式 - 监控基本错误',
-      [ERROR_LEVEL.SILENT]: '静默模式 - 仅监控严重错误',
+  }
+}
+
+/**
+ * 全局钩子中心
+ * window.onerror、console、uni 网络API等全局钩子只安装一次，捕获的错误按路由分发给已注册的监控实例（客户端）
+ * 每个客户端保留自己的配置、统计和去重缓存
+ */
+class Hub {
+  constructor() {
+    // 已注册的客户端（已初始化的 ErrorMonitor 实例）
+    this._clients = []
+    // 尚未初始化的客户端，初始化前自动捕获的全局错误和小程序错误交给它们缓冲
+    this._pendingClients = []
+    // 已安装的全局钩子：名称 -> 卸载函数
+    this._hooks = new Map()
+    // 显式作用域：{ client, scope }，栈顶客户端的作用域未弹出时，自动捕获的错误只发给该客户端
+    this._scopes = []
+    // 日志，使用最近注册或注销的客户端的日志配置
+    this._logger = new Logger()
+  }
+
+  /**
+   * 注册客户端并按所有客户端的配置同步全局钩子，重复注册时只同步钩子
+   * @param {ErrorMonitor} client 客户端
+   */
+  bindClient(client) {
+    this._logger = client._logger
+    if (!this._clients.includes(client)) {
+      const name = client.config?.name
+      if (this._clients.some(item => item.config?.name === name)) {
+        this._logger.warn(`已存在名称为 "${name}" 的错误监控实例，本地存储的数据会互相覆盖，请设置不同的 name`)
+      }
+      this._clients.push(client)
     }
-    console.log(`错误监控级别: ${levelDescriptions[config.errorLevel]}`)
-    // 全局错误捕获（uniapp环境适配）
-    if (config.enableGlobalError) {
-      // Web环境
-      if (typeof window !== 'undefined') {
-        window.onerror = (message, source, lineno, colno, error) => {
-          this._handleGlobalError({
-            type: 'global',
-            message,
-            source,
-            lineno,
-            colno,
-            error,
-            timestamp: Date.now(),
-          })
-        }
-        // 处理未捕获的Promise错误
-        window.addEventListener('unhandledrejection', event => {
-          this._handlePromiseError({
+    this._pendingClients = this._pendingClients.filter(item => item !== client)
+    this._syncHooks()
+  }
+
+  /**
+   * 登记尚未初始化的客户端，初始化完成（bindClient）或放弃初始化（unbindClient）时移除
+   * @param {ErrorMonitor} client 客户端
+   */
+  addPendingClient(client) {
+    if (this._clients.includes(client) || this._pendingClients.includes(client)) {
+      return
+    }
+    this._pendingClients.push(client)
+    this._syncHooks()
+  }
+
+  /**
+   * 注销客户端，没有客户端需要的全局钩子会被卸载
+   * @param {ErrorMonitor} client 客户端
+   */
+  unbindClient(client) {
+    this._logger = client._logger
+    this._clients = this._clients.filter(item => item !== client)
+    this._pendingClients = this._pendingClients.filter(item => item !== client)
+    this._scopes = this._scopes.filter(item => item.client !== client)
+    this._syncHooks()
+  }
+
+  /**
+   * 记录客户端压入的作用域，作为自动捕获错误的显式路由
+   * @param {ErrorMonitor} client 客户端
+   * @param {Scope} scope 作用域
+   */
+  pushScope(client, scope) {
+    if (this._clients.includes(client)) {
+      this._scopes.push({ client, scope })
+    }
+  }
+
+  /**
+   * 获取自动捕获的错误应发送到的客户端
+   * 优先级：显式作用域 > 页面路径匹配 pageInclude 的客户端 > 未配置 pageInclude 的客户端
+   * @param {string} [page] 页面路径，默认为当前页面
+   * @returns {ErrorMonitor[]} 客户端列表
+   */
+  getTargetClients(page = getCurrentPageName()) {
+    // 清理已被弹出的作用域
+    while (this._scopes.length > 0) {
+      const { client, scope } = this._scopes[this._scopes.length - 1]
+      if (client._scopeStack.includes(scope)) {
+        return [client]
+      }
+      this._scopes.pop()
+    }
+    const routed = this._clients.filter(client => client.config.pageInclude.length > 0)
+    const matched = routed.filter(client => client._matchesPage(page))
+    if (matched.length > 0) {
+      return matched
+    }
+    return this._clients.filter(client => client.config.pageInclude.length === 0)
+  }
+
+  /**
+   * 按路由分发给客户端
+   * @private
+   * @param {Function} callback 对每个目标客户端执行的回调
+   * @param {boolean} [includePending=false] 是否同时分发给尚未初始化的客户端（由其缓冲，初始化后补报）
+   */
+  _dispatch(callback, includePending = false) {
+    const clients = includePending ? [...this.getTargetClients(), ...this._pendingClients] : this.getTargetClients()
+    clients.forEach(client => {
+      try {
+        callback(client)
+      } catch (error) {
+        client._logger.warn('错误监控实例处理错误失败:', error)
+      }
+    })
+  }
+
+  /**
+   * 分发给所有客户端（面包屑、前后台切换等）
+   * @private
+   * @param {Function} callback 对每个客户端执行的回调
+   */
+  _broadcast(callback) {
+    this._clients.slice().forEach(client => {
+      try {
+        callback(client)
+      } catch (error) {
+        client._logger.warn('错误监控实例处理事件失败:', error)
+      }
+    })
+  }
+
+  /**
+   * 按所有客户端的配置安装或卸载全局钩子
+   * @private
+   */
+  _syncHooks() {
+    const configs = this._clients.map(client => client.config)
+    const hasUni = typeof uni !== 'undefined'
+    const some = key => configs.some(config => config[key])
+    // 有尚未初始化的客户端时，提前安装全局错误和小程序错误钩子以缓冲启动阶段的错误
+    const pending = this._pendingClients.length > 0
+    // 面包屑采集在console.error捕获之前安装，使错误本身也出现在操作轨迹中
+    this._toggleHook('globalError', (some('enableGlobalError') || pending) && typeof window !== 'undefined', () => this._installGlobalErrorHandlers())
+    this._toggleHook('consoleBreadcrumbs', some('enableBreadcrumbs'), () => this._installConsoleBreadcrumbs())
+    this._toggleHook('consoleError', some('enableConsoleError'), () => this._installConsoleErrorCapture())
+    this._toggleHook('miniProgramError', hasUni && (configs.length > 0 || pending), () => this._installMiniProgramErrorHandlers())
+    this._toggleHook('network', hasUni && configs.length > 0, () => this._instrumentNetworkApis())
+    this._toggleHook('navigation', hasUni && configs.length > 0, () =>
+      addNavigationInterceptor(method => ({
+        invoke: args => this._broadcast(client => client._onNavigate(method, args)),
+        success: () => this._broadcast(client => client._saveRunMarker()),
+      })),
+    )
+    this._toggleHook('lifecycle', hasUni && configs.length > 0, () =>
+      onAppLifecycle({
+        show: options => this._broadcast(client => client._onAppShow(options)),
+        hide: () => this._broadcast(client => client._onAppHide()),
+      }),
+    )
+    this._toggleHook('networkStatus', hasUni && !!uni.onNetworkStatusChange && some('enableOfflineQueue'), () => {
+      const onNetworkStatusChange = res => {
+        if (res.isConnected) {
+          this._broadcast(client => client.config?.enableOfflineQueue && client.flushOfflineQueue())
+        }
+      }
+      uni.onNetworkStatusChange(onNetworkStatusChange)
+      return () => uni.offNetworkStatusChange && uni.offNetworkStatusChange(onNetworkStatusChange)
+    })
+  }
+
+  /**
+   * 安装或卸载全局钩子，已处于目标状态时跳过
+   * @private
+   * @param {string} name 钩子名称
+   * @param {boolean} enabled 是否需要该钩子
+   * @param {Function} install 安装函数，返回卸载函数
+   */
+  _toggleHook(name, enabled, install) {
+    if (enabled && !this._hooks.has(name)) {
+      this._hooks.set(name, install() || (() => {}))
+    } else if (!enabled && this._hooks.has(name)) {
+      const uninstall = this._hooks.get(name)
+      this._hooks.delete(name)
+      try {
+        uninstall()
+      } catch (error) {
+        this._logger.warn(`卸载钩子 ${name} 失败:`, error)
+      }
+    }
+  }
+
+  /**
+   * 安装 window.onerror 和 unhandledrejection 监听
+   * @private
+   * @returns {Function} 卸载函数
+   */
+  _installGlobalErrorHandlers() {
+    const restoreOnError = patchMethod(window, 'onerror', original => (message, source, lineno, colno, error) => {
+      // 尚未初始化的客户端没有配置，先缓冲，补报时再按 enableGlobalError 过滤
+      this._dispatch(client => {
+        (!client.config || client.config.enableGlobalError) &&
+          client._handleGlobalError({
+            type: 'global',
+            message,
+            source,
+            lineno,
+            colno,
+            error,
+            timestamp: Date.now(),
+          })
+      }, true)
+      // 保留之前设置的 onerror
+      return typeof original === 'function' ? original.call(window, message, source, lineno, colno, error) : undefined
+    })
+    // 处理未捕获的Promise错误
+    const onUnhandledRejection = event => {
+      this._dispatch(client => {
+        (!client.config || client.config.enableGlobalError) &&
+          client._handlePromiseError({
             type: 'promise',
             reason: event.reason,
             promise: event.promise,
             timestamp: Date.now(),
           })
-        })
+      }, true)
+    }
+    window.addEventListener('unhandledrejection', onUnhandledRejection)
+    return () => {
+      restoreOnError()
+      window.removeEventListener && window.removeEventListener('unhandledrejection', onUnhandledRejection)
+    }
+  }
+
+  /**
+   * 安装 console 输出的面包屑采集
+   * @private
+   * @returns {Function} 卸载函数
+   */
+  _installConsoleBreadcrumbs() {
+    const restores = []
+    CONSOLE_BREADCRUMB_LEVELS.forEach(level => {
+      if (typeof console[level] !== 'function') {
+        return
       }
-      // uniapp环境 - 提供Promise包装工具
-      if (typeof uni !== 'undefined' && config.enablePromiseError) {
-        // 提供一个包装Promise的方法，让开发者可以手动包装重要的Promise
-        this.wrapPromise = promise => {
-          const self = this
-          return promise.catch(error => {
-            self._handlePromiseError({
-              type: 'promise',
-              reason: error,
-              timestamp: Date.now(),
-            })
-            throw error
-          })
+      restores.push(patchMethod(console, level, original => (...args) => {
+        original.apply(console, args)
+        // 忽略错误监控自身的输出
+        if (internalDepth > 0) {
+          return
         }
-      }
-    }
-    // console.error捕获（可选）
-    if (config.enableConsoleError) {
-      const originalError = console.error
-      console.error = (...args) => {
-        originalError.apply(console, args)
-        this._handleConsoleError({
-          type: 'console',
-          args: args.map(arg => this._serializeError(arg)),
-          timestamp: Date.now(),
+        this._broadcast(client => {
+          client.addBreadcrumb({
+            type: 'console',
+            level: level === 'warn' ? 'warning' : level === 'error' ? 'error' : 'info',
+            message: args.map(arg => (typeof arg === 'string' ? arg : client._serializeError(arg))).join(' ').slice(0, 500),
+          })
         })
+      }))
+    })
+    return () => restores.forEach(restore => restore())
+  }
+
+  /**
+   * 安装 console.error 捕获
+   * @private
+   * @returns {Function} 卸载函数
+   */
+  _installConsoleErrorCapture() {
+    return patchMethod(console, 'error', original => (...args) => {
+      original.apply(console, args)
+      // 忽略错误监控自身的输出，避免发送失败的日志被捕获后再次发送造成循环
+      if (internalDepth > 0) {
+        return
       }
-    }
-    // 微信小程序错误捕获
-    if (typeof uni !== 'undefined') {
-      // 监听小程序错误事件
-      uni.onError &&
-        uni.onError(error => {
-          this._handleMiniProgramError({
-            type: 'miniProgram',
-            error,
+      this._dispatch(client => {
+        client.config.enableConsoleError &&
+          client._handleConsoleError({
+            type: 'console',
+            args: args.map(arg => client._serializeError(arg)),
             timestamp: Date.now(),
           })
+      })
+    })
+  }
+
+  /**
+   * 监听小程序错误和页面未找到
+   * @private
+   * @returns {Function} 卸载函数
+   */
+  _installMiniProgramErrorHandlers() {
+    // 监听小程序错误事件
+    const onError = error => {
+      this._dispatch(client => {
+        client._handleMiniProgramError({
+          type: 'miniProgram',
+          error,
+          timestamp: Date.now(),
         })
-      // 监听小程序页面错误
-      uni.onPageNotFound &&
-        uni.onPageNotFound(result => {
-          this._handleMiniProgramError({
-            type: 'pageNotFound',
-            path: result.path,
-            query: result.query,
-            timestamp: Date.now(),
-          })
+      }, true)
+    }
+    // 监听小程序页面错误
+    const onPageNotFound = result => {
+      this._dispatch(client => {
+        client._handleMiniProgramError({
+          type: 'pageNotFound',
+          path: result.path,
+          query: result.query,
+          timestamp: Date.now(),
+        })
+      }, true)
+    }
+    uni.onError && uni.onError(onError)
+    uni.onPageNotFound && uni.onPageNotFound(onPageNotFound)
+    return () => {
+      uni.offError && uni.offError(onError)
+      uni.offPageNotFound && uni.offPageNotFound(onPageNotFound)
+    }
+  }
+
+  /**
+   * 拦截 uni 网络API（request、uploadFile、downloadFile、connectSocket）
+   * 同时兼容回调和Promise两种调用方式：未传入回调时保持原始的Promise返回值
+   * 目标客户端在发起请求时确定，请求在作用域结束后失败时仍发送给原客户端
+   * @private
+   * @returns {Function} 还原被拦截API的函数
+   */
+  _instrumentNetworkApis() {
+    const restores = []
+    NETWORK_APIS.forEach(apiName => {
+      if (typeof uni[apiName] !== 'function') {
+        return
+      }
+      restores.push(patchMethod(uni, apiName, original => (options = {}) => {
+        // 监控自身发出的上报请求（内置发送和自定义发送器）不监控，避免上报失败时循环上报
+        if (internalDepth > 0) {
+          return original.call(uni, options)
+        }
+        const startTime = Date.now()
+        const clients = this.getTargetClients()
+        const onSuccess = res => clients.forEach(client => client._onNetworkSuccess(apiName, options, startTime, res))
+        const onFail = err => clients.forEach(client => client._onNetworkFail(apiName, options, startTime, err))
+        // Promise调用方式：不改写参数，只观察返回的Promise
+        if (!hasCallback(options)) {
+          const result = original.call(uni, options)
+          observePromise(result, onSuccess, onFail)
+          return result
+        }
+        return original.call(uni, {
+          ...options,
+          success: res => {
+            onSuccess(res)
+            options.success && options.success(res)
+          },
+          fail: err => {
+            options.fail && options.fail(err)
+            onFail(err)
+          },
         })
-      // 监听小程序网络请求错误
-      const originalRequest = uni.request
-      uni.request = options => {
-        return originalRequest({
+      }))
+    })
+    // WebSocket：除连接失败外，还需监听 SocketTask 的 onError 和异常关闭
+    if (typeof uni.connectSocket === 'function') {
+      restores.push(patchMethod(uni, 'connectSocket', originalConnectSocket => (options = {}) => {
+        if (internalDepth > 0) {
+          return originalConnectSocket.call(uni, options)
+        }
+        const startTime = Date.now()
+        const clients = this.getTargetClients()
+        const onFail = err => clients.forEach(client => client._onNetworkFail('connectSocket', options, startTime, err))
+        const observeTask = task => clients.forEach(client => client._observeSocketTask(task, options))
+        if (!hasCallback(options)) {
+          const result = originalConnectSocket.call(uni, options)
+          if (result && typeof result.then === 'function') {
+            observePromise(result, observeTask, onFail)
+          } else {
+            observeTask(result)
+          }
+          return result
+        }
+        const socketTask = originalConnectSocket.call(uni, {
           ...options,
           fail: err => {
             options.fail && options.fail(err)
-            this._handleNetworkError({
-              type: 'network',
-              url: options.url,
-              method: options.method,
-              error: err,
-              timestamp: Date.now(),
-            })
+            onFail(err)
           },
         })
-      }
+        observeTask(socketTask)
+        return socketTask
+      }))
     }
-    console.log('错误监控已初始化')
+    return () => restores.forEach(restore => restore())
   }
-  /**
-   * 手动上报错误
-   * @param {string} type 错误类型 ('manual', 'api', 'network', 'global', 'promise', 'console', 'miniProgram')
-   * @param {Error|Object} error 错误对象或错误信息
-   * @param {Object} [context] 错误上下文信息
-   * @param {boolean} [forceSend=false] 强制发送（忽略环境检查和错误级别过滤）
+}
+
+// 全局钩子中心，所有 ErrorMonitor 实例共享
+const hub = new Hub()
+
+/**
+ * 错误监控和上报类
+ */
+class ErrorMonitor {
+	constructor(options = {}) {
+		// 内部日志，初始化前不输出（此时无法确定运行环境），初始化时按配置重新创建
+		this._logger = new Logger({ level: LOG_LEVEL.SILENT })
+		// 环境检测配置
+		this._environment = {}
+		// 初始化错误统计
+		this.errorStats = {
+			total: 0,
+			global: 0,
+			promise: 0,
+			console: 0,
+			miniProgram: 0,
+			api: 0,
+			network: 0,
+			vue: 0,
+			suppressed: 0,
+			lastErrorTime: null,
+		}
+		// Promise包装方法
+		this.wrapPromise = null
+		// 配置信息
+		this.config = null
+		// 项目信息
+		this.projectInfo = {
+			name: '未命名项目',
+			version: '0.0.0',
+		}
+		// 错误去重缓存：存储最近上报的错误签名和时间戳
+		this._errorCache = new Map()
+		// 自定义发送器和格式化函数（未设置时使用内置的webhook发送和消息格式）
+		this._sender = null
+		this._formatter = null
+		// 正在内存中重试的离线队列条目ID，避免网络恢复时重复发送
+		this._pendingQueueIds = new Set()
+		// 离线队列是否正在发送
+		this._flushingOfflineQueue = false
+		// 批量汇总缓冲区：按错误签名分组
+		this._batchGroups = new Map()
+		// 批量汇总缓冲区中的事件总数
+		this._batchCount = 0
+		// 批量汇总中是否包含强制发送的错误
+		this._batchForceSend = false
+		// 批量汇总定时器
+		this._batchTimer = null
+		// 面包屑（操作轨迹）环形缓冲区
+		this._breadcrumbs = []
+		// 事件处理器
+		this._eventProcessors = []
+		// 作用域栈：栈底为全局作用域，栈顶为当前作用域
+		this._scopeStack = [new Scope()]
+		// 当前会话
+		this._session = null
+		// 会话汇总定时器
+		this._sessionSummaryTimer = null
+		// 本次启动的运行标记
+		this._runMarker = null
+		// 频率限制令牌桶
+		this._rateLimitTokens = DEFAULT_RATE_LIMIT_BURST
+		this._rateLimitRefilledAt = Date.now()
+		// 本次会话已发送的错误数量
+		this._sessionReportCount = 0
+		// 被抑制的错误：{ count, since, reasons }
+		this._suppressed = null
+		// 抑制汇总定时器
+		this._suppressedTimer = null
+		// 本次会话是否已发送过会话上限的抑制汇总
+		this._sessionLimitSummarySent = false
+		// 已安装的实例功能（会话跟踪、异常退出检测）：名称 -> 卸载函数
+		this._hooks = new Map()
+		// 初始化前捕获的错误，首次初始化完成后补报并置为 null
+		this._preInitBuffer = []
+		// 初始化前缓冲区已满时丢弃的错误数
+		this._preInitDropped = 0
+		// 正在补报的缓冲条目
+		this._replayingEntry = null
+		// 尝试从 manifest.json 加载项目信息
+		this._loadProjectInfo()
+		// 初始化前也捕获全局错误和小程序错误，缓冲到初始化完成后补报
+		hub.addPendingClient(this)
+		// 应用初始配置
+		if (Object.keys(options).length > 0) {
+			this.initErrorMonitor(options)
+		}
+	}  /**
+   * 检测是否为生产环境
+   * @private
+   * @returns {boolean} 是否为生产环境
    */
-  reportError(type = 'manual', error, context = {}, forceSend = false) {
-  		// 错误级别过滤（forceSend 时跳过）
-  		if (!forceSend && !this._shouldReportError(type)) {
-  			console.info(`错误级别过滤：跳过上报 ${type} 类型错误`)
-  			return
-  		}
-  
-  		// 生成错误签名用于去重
-  		const errorSignature = this._generateErrorSignature(type, error, context)
-  		
-  		// 错误去重检查（forceSend 时跳过）
-  		if (!forceSend && this._isDuplicateError(errorSignature)) {
-  			console.info(`错误去重：跳过重复错误 ${errorSignature}`)
-  			return
-  		}
-  
-  		// 自动提取API错误相关信息
-  		let extractedError = error
-    let extractedContext = context
-    if (type === 'api' && typeof error === 'object' && error.config) {
-      // 当type为'api'且error对象包含config属性时，自动提取API相关信息
-      const response = error
-      extractedContext = {
-        url: response.config?.url,
-        method: response.config?.method,
-        statusCode: response.data?.code || response.statusCode,
-        statusText: response.data?.msg || response.data?.message || '未知错误',
-        responseTime: Date.now() - (response.config?.startTime || Date.now()),
-        requestData: response.config?.data,
-        requestHeaders: response.config?.header,
-        environment: import.meta.env.MODE,
-        // 保留原有的error信息
-        ...context,
+  _isProduction() {
+    const environment = this._environment
+    // 自定义判断优先
+    if (typeof environment.isProduction === 'function') {
+      try {
+        return !!environment.isProduction()
+      } catch (error) {
+        this._logger.warn('自定义环境判断执行失败，使用内置检测:', error)
       }
-      extractedError = response.data?.msg || response.data?.message || response.message || error
     }
-    const errorInfo = {
-      type,
-      error: extractedError instanceof Error ? extractedError.message : extractedError,
-      stack: extractedError instanceof Error ? extractedError.stack : null,
-      context: extractedContext,
-      timestamp: Date.now(),
-      url: extractedContext.url || this._getCurrentUrl(),
-      method: extractedContext.method || '',
-      userAgent: this._getUserAgent(),
-      page: getCurrentPageName(),
-      // API错误特有字段
-      statusCode: extractedContext.statusCode,
-      statusText: extractedContext.statusText,
-      responseTime: extractedContext.responseTime,
-      requestData: extractedContext.requestData,
-      requestHeaders: extractedContext.requestHeaders,
-      requestId: extractedContext.requestId,
-      environment: extractedContext.environment,
-      // 网络错误特有字段
-      retryCount: extractedContext.retryCount,
-      networkType: extractedContext.networkType,
-      isConnected: extractedContext.isConnected,
+    // 显式指定运行模式时不再检测
+    if (environment.mode) {
+      return environment.mode !== 'development'
     }
-    // 更新错误统计
-    this.errorStats.total++
-    this.errorStats[type] = (this.errorStats[type] || 0) + 1
-    this.errorStats.lastErrorTime = errorInfo.timestamp
-    // 确定是否强制发送
-    const shouldForceSend = forceSend || (type === 'api' && extractedContext && typeof extractedContext === 'object')
-    if (shouldForceSend) {
-      // 强制发送
-      this._sendErrorToWebhook(errorInfo, 0, true)
-    } else {
-      this._sendErrorToWebhook(errorInfo)
+    // 检查uniapp运行模式
+    try {
+      const systemInfo = uni.getSystemInfoSync?.()
+      if (systemInfo?.mode && systemInfo.mode !== 'default') {
+        // 体验版、开发版、预览版
+        return false
+      }
+    } catch (error) {
+      // 忽略错误，继续检测
+    }
+    // 检查小程序版本
+    if (NON_RELEASE_ENV_VERSIONS.includes(getMiniProgramEnvVersion())) {
+      return false
+    }
+    // 检查构建工具注入的运行模式
+    if (this._getMode() === 'development') {
+      return false
     }
+    // 默认：开发环境和体验版不启用，生产环境启用
+    return true
   }
   /**
-   * 获取错误统计信息
-   * @returns {Object} 错误统计信息
+   * 获取运行模式：显式指定的模式，或构建工具注入的模式（Vite 的 MODE、webpack 的 NODE_ENV）
+   * @private
+   * @returns {string|undefined} 运行模式
    */
-  getErrorStats() {
-    return { ...this.errorStats }
+  _getMode() {
+    return this._environment.mode || readBuildEnv('mode', this._environment.modeKey)
   }
   /**
-   * 重置错误统计
+   * 获取构建工具注入的 webhook 地址（Vite 的 VITE_WEBHOOK、webpack 的 VUE_APP_WEBHOOK）
+   * @private
+   * @returns {string|undefined} webhook地址
    */
-  resetErrorStats() {
-    this.errorStats = {
-      total: 0,
-      global: 0,
-      promise: 0,
-      console: 0,
+  _getEnvWebhookUrl() {
+    return readBuildEnv('webhook', this._environment.webhookKey)
+  }
+  /**
+   * 按配置创建内部日志，未指定级别时生产环境静默、其他环境只输出警告和错误
+   * @private
+   * @param {Object} [options] 配置选项
+   * @returns {Logger} 日志
+   */
+  _createLogger(options = {}) {
+    let level = options.logLevel
+    if (!level) {
+      if (options.debug) {
+        level = LOG_LEVEL.DEBUG
+      } else {
+        level = this._isProduction() ? LOG_LEVEL.SILENT : LOG_LEVEL.WARN
+      }
+    }
+    return new Logger({ level, output: options.logger })
+  }
+  /**
+  	 * 初始化全局错误监控
+  	 * @param {Object} options 配置选项
+  	 * @param {boolean} [options.enableGlobalError=true] 是否启用全局错误捕获
+  	 * @param {boolean} [options.enablePromiseError=true] 是否启用Promise错误捕获
+  	 * @param {boolean} [options.enableConsoleError=true] 是否启用console.error捕获
+  	 * @param {string} [options.webhookUrl] 自定义webhook地址，不传则使用环境变量（VITE_WEBHOOK 或 VUE_APP_WEBHOOK）
+  	 * @param {number} [options.maxRetries=3] 发送失败时最大重试次数
+  	 * @param {number} [options.retryDelay=1000] 重试延迟时间(毫秒)
+  	 * @param {boolean} [options.forceEnable=false] 强制启用错误监控（忽略环境检查）
+  	 * @param {string} [options.errorLevel='standard'] 错误级别：strict(所有错误)、standard(基本错误)、silent(仅严重错误)
+  	 * @param {number} [options.dedupInterval=60000] 相同错误去重间隔时间(毫秒)，默认1分钟
+  	 * @param {Function} [options.sender] 自定义发送器 (errorInfo, message) => Promise，替代内置的webhook发送
+  	 * @param {Function} [options.formatter] 自定义格式化函数 (errorInfo) => string，替代内置的消息格式
+  	 * @param {string|Object} [options.transport='wecom'] webhook传输协议：wecom、dingtalk、feishu、lark、slack、json，或自定义适配器对象
+  	 * @param {Object} [options.transportOptions] 传输协议选项，如 secret（钉钉/飞书签名密钥）、mentionedList、atMobiles、isAtAll、header
+  	 * @param {boolean} [options.enableOfflineQueue=true] 发送失败时是否将错误持久化到本地存储，待网络恢复或下次启动时补发
+  	 * @param {number} [options.offlineQueueMaxSize=50] 离线队列最大条数，超出时丢弃最早的错误
+  	 * @param {number} [options.offlineQueueMaxAge=86400000] 离线队列中错误的最长保留时间(毫秒)，默认1天
+  	 * @param {boolean} [options.enableBatch=false] 是否启用批量汇总，在时间窗口内收集错误后合并为一条汇总消息发送
+  	 * @param {number} [options.batchInterval=30000] 批量汇总时间窗口(毫秒)
+  	 * @param {number} [options.batchMaxSize=20] 批量汇总最大条数，达到后立即发送
+  	 * @param {boolean} [options.enableBreadcrumbs=true] 是否自动记录面包屑（路由跳转、网络请求、console输出、应用前后台切换）
+  	 * @param {number} [options.maxBreadcrumbs=20] 面包屑最大条数，超出时丢弃最早的记录
+  	 * @param {boolean} [options.enableApiError=false] 是否自动捕获 uni.request 成功回调中的接口错误（HTTP错误状态码、业务错误码）
+  	 * @param {Object} [options.apiErrorRules] 接口错误捕获规则
+  	 * @param {Array<number|number[]>} [options.apiErrorRules.statusCodes=[[400, 599]]] 视为错误的HTTP状态码，可为具体值或 [最小值, 最大值] 范围
+  	 * @param {Function} [options.apiErrorRules.isBusinessError] 业务错误判断函数 (res, requestOptions) => boolean，如 res => res.data.code !== 0
+  	 * @param {Array<string|RegExp>} [options.apiErrorRules.include] URL白名单，设置后只捕获匹配的请求
+  	 * @param {Array<string|RegExp>} [options.apiErrorRules.exclude] URL黑名单，匹配的请求不捕获
+  	 * @param {Array<string|RegExp>} [options.inAppInclude] 堆栈帧文件路径匹配时视为业务代码（优先于 inAppExclude）
+  	 * @param {Array<string|RegExp>} [options.inAppExclude] 堆栈帧文件路径匹配时视为框架/第三方代码（在内置规则基础上追加）
+  	 * @param {boolean|number} [options.groupByStack=false] 按前N个业务代码堆栈帧分组去重（true 时为3帧），替代按出错位置分组
+  	 * @param {Function} [options.fingerprint] 自定义错误指纹 (errorInfo) => string|string[]，返回空值时使用内置规则
+  	 * @param {boolean} [options.enableRateLimit=false] 是否启用全局频率限制（令牌桶），超出时合并为一条抑制汇总
+  	 * @param {number} [options.rateLimitBurst=10] 令牌桶容量，即允许的突发发送条数
+  	 * @param {number} [options.rateLimitPerMinute=10] 每分钟补充的令牌数
+  	 * @param {number} [options.maxReportsPerSession=0] 每次会话最多发送的错误数，0 表示不限制
+  	 * @param {Object} [options.sampling] 采样配置，采样率为 0-1，未配置时全部上报
+  	 * @param {Object} [options.sampling.types] 按错误类型配置采样率，如 { network: 0.1 }（优先于按严重程度配置）
+  	 * @param {Object} [options.sampling.severities] 按严重程度配置采样率，如 { normal: 0.5, minor: 0.1 }
+  	 * @param {boolean} [options.enableRedaction=true] 是否在格式化和发送前脱敏敏感信息（认证头、Cookie、密码、令牌、手机号、身份证号等）
+  	 * @param {Object} [options.redactRules] 自定义脱敏规则，在内置规则基础上追加
+  	 * @param {Array<string|RegExp>} [options.redactRules.keys] 敏感字段名，字符串按忽略大小写的全等匹配，匹配的字段值整体替换
+  	 * @param {Array<RegExp|Object>} [options.redactRules.patterns] 敏感内容规则，作用于所有字符串，可为正则或 { pattern, replacement }
+  	 * @param {Function} [options.beforeSend] 发送前钩子 (errorInfo, hint) => errorInfo|null|Promise，可修改错误信息，返回 null 时丢弃该错误；errorInfo 已脱敏，hint.originalException 为未脱敏的原始错误
+  	 * @param {boolean} [options.enableSession=false] 是否启用会话跟踪，统计健康、出错和崩溃的会话数
+  	 * @param {number} [options.sessionTimeout=30000] 应用在后台超过该时间(毫秒)后回到前台视为新会话
+  	 * @param {number} [options.sessionSummaryInterval=0] 自动发送会话汇总的间隔(毫秒)，0 表示只在调用 sendSessionSummary 时发送
+  	 * @param {boolean} [options.enableAbnormalExitDetection=false] 是否检测异常退出，下次启动时上报上次在前台被结束的运行
+  	 * @param {string} [options.name='default'] 实例名称，多个实例时用于区分本地存储的数据
+  	 * @param {Array<string|RegExp>} [options.pageInclude] 该实例负责的页面路径前缀，自动捕获的错误按当前页面路由到匹配的实例
+  	 * @param {boolean} [options.debug=false] 是否输出调试日志（过滤、去重、丢弃等），等同于 logLevel: 'debug'
+  	 * @param {string} [options.logLevel] 内部日志级别：silent、error、warn、info、debug，默认生产环境为 silent、其他环境为 warn
+  	 * @param {Object} [options.logger] 自定义日志输出，需实现 debug、info、warn、error 方法，默认输出到 console
+  	 * @param {Object} [options.environment] 环境检测配置，默认依次检测 uni 运行模式、小程序版本和构建工具注入的运行模式
+  	 * @param {string} [options.environment.mode] 显式指定运行模式，设置后不再自动检测，'development' 为非生产环境
+  	 * @param {Function} [options.environment.isProduction] 自定义生产环境判断 () => boolean，优先于其他配置
+  	 * @param {string} [options.environment.modeKey] 运行模式的环境变量名，默认 Vite 为 MODE、webpack 为 NODE_ENV
+  	 * @param {string} [options.environment.webhookKey] webhook地址的环境变量名，默认 Vite 为 VITE_WEBHOOK、webpack 为 VUE_APP_WEBHOOK
+  	 */
+  	initErrorMonitor(options = {}) {
+  		const config = {
+  			enableGlobalError: true,
+  			enablePromiseError: true,
+  			enableConsoleError: false,
+  			webhookUrl: null,
+  			maxRetries: 3,
+  			retryDelay: 1000,
+  			forceEnable: false,
+  			errorLevel: ERROR_LEVEL.SILENT, // 默认静默模式
+  			dedupInterval: DEFAULT_DEDUP_INTERVAL, // 默认1分钟去重间隔
+  			sender: null,
+  			formatter: null,
+  			transport: TRANSPORT.WECOM,
+  			transportOptions: {},
+  			enableOfflineQueue: true,
+  			offlineQueueMaxSize: DEFAULT_OFFLINE_QUEUE_MAX_SIZE,
+  			offlineQueueMaxAge: DEFAULT_OFFLINE_QUEUE_MAX_AGE,
+  			enableBatch: false,
+  			batchInterval: DEFAULT_BATCH_INTERVAL,
+  			batchMaxSize: DEFAULT_BATCH_MAX_SIZE,
+  			enableBreadcrumbs: true,
+  			maxBreadcrumbs: DEFAULT_MAX_BREADCRUMBS,
+  			enableApiError: false,
+  			inAppInclude: [],
+  			inAppExclude: [],
+  			groupByStack: false,
+  			fingerprint: null,
+  			enableRateLimit: false,
+  			rateLimitBurst: DEFAULT_RATE_LIMIT_BURST,
+  			rateLimitPerMinute: DEFAULT_RATE_LIMIT_PER_MINUTE,
+  			maxReportsPerSession: 0,
+  			enableRedaction: true,
+  			beforeSend: null,
+  			enableSession: false,
+  			sessionTimeout: DEFAULT_SESSION_TIMEOUT,
+  			sessionSummaryInterval: 0,
+  			enableAbnormalExitDetection: false,
+  			name: DEFAULT_CLIENT_NAME,
+  			pageInclude: [],
+  			debug: false,
+  			logLevel: null,
+  			logger: null,
+  			environment: {},
+  			...options,
+  		}
+  		this._environment = { ...config.environment }
+  		config.webhookUrl = config.webhookUrl || this._getEnvWebhookUrl()
+  		this._logger = this._createLogger(config)
+  		if (config.logLevel && LOG_LEVEL_PRIORITY[config.logLevel] === undefined) {
+  			this._logger.warn(`无效的日志级别 "${config.logLevel}"，使用默认值 "warn"`)
+  		}
+  		config.apiErrorRules = {
+  			statusCodes: DEFAULT_API_ERROR_STATUS_CODES,
+  			isBusinessError: null,
+  			include: [],
+  			exclude: [],
+  			...options.apiErrorRules,
+  		}
+  		config.sampling = {
+  			types: {},
+  			severities: {},
+  			...options.sampling,
+  		}
+  		config.redactRules = {
+  			keys: [],
+  			patterns: [],
+  			...options.redactRules,
+  		}    // 环境检查：只在生产环境下启用错误监控
+    if (!config.forceEnable && !this._isProduction()) {
+      this._logger.info('当前为非生产环境，错误监控已禁用')
+      this._abortInit()
+      return
+    }
+    if (config.sender) {
+      this.setSender(config.sender)
+    }
+    if (config.formatter) {
+      this.setFormatter(config.formatter)
+    }
+    // 检查webhook配置（使用自定义发送器时可不配置webhook）
+    if (!config.webhookUrl && !this._sender) {
+      this._logger.warn('错误监控初始化失败：未配置webhook地址')
+      this._abortInit()
+      return
+    }
+    // 验证错误级别
+    const validLevels = [ERROR_LEVEL.STRICT, ERROR_LEVEL.STANDARD, ERROR_LEVEL.SILENT]
+    if (!validLevels.includes(config.errorLevel)) {
+      this._logger.warn(`无效的错误级别 "${config.errorLevel}"，使用默认值 "standard"`)
+      config.errorLevel = ERROR_LEVEL.SILENT
+    }
+    // 验证传输协议
+    if (!resolveTransport(config.transport)) {
+      this._logger.warn(`无效的传输协议 "${config.transport}"，使用默认值 "wecom"`)
+      config.transport = TRANSPORT.WECOM
+    }
+    // 验证脱敏规则，无效的规则跳过，避免发送时出错
+    config.redactRules = this._normalizeRedactRules(config.redactRules)
+    // 重新初始化前先发送待发送的抑制汇总
+    if (this._suppressedTimer) {
+      clearTimeout(this._suppressedTimer)
+      this._suppressedTimer = null
+      this._sendSuppressedSummary()
+    }
+    this.config = config
+    // 重置频率限制状态
+    this._rateLimitTokens = config.rateLimitBurst
+    this._rateLimitRefilledAt = Date.now()
+    this._sessionReportCount = 0
+    this._sessionLimitSummarySent = false
+    // 输出错误级别信息
+    const levelDescriptions = {
+      [ERROR_LEVEL.STRICT]: '严格模式 - 监控所有错误',
+      [ERROR_LEVEL.STANDARD]: '标准模式 - 监控基本错误',
+      [ERROR_LEVEL.SILENT]: '静默模式 - 仅监控严重错误',
+    }
+    this._logger.info(`错误监控级别: ${levelDescriptions[config.errorLevel]}`)
+    // 全局钩子由 hub 统一安装（只安装一次），捕获的错误按路由分发给各实例；重复初始化时只更新配置
+    hub.bindClient(this)
+    // uniapp环境 - 提供Promise包装工具
+    if (config.enableGlobalError && typeof uni !== 'undefined' && config.enablePromiseError) {
+      // 提供一个包装Promise的方法，让开发者可以手动包装重要的Promise
+      this.wrapPromise = promise => {
+        const self = this
+        // 记录包装时的作用域，Promise 在 withScope 回调结束后失败时仍使用该作用域
+        const scope = this._getCurrentScope()
+        return promise.catch(error => {
+          self._handlePromiseError(
+            {
+              type: 'promise',
+              reason: error,
+              timestamp: Date.now(),
+            },
+            { scope },
+          )
+          throw error
+        })
+      }
+    }
+    if (typeof uni !== 'undefined') {
+      // 异常退出检测（在会话跟踪之前，使异常退出的上次会话按崩溃统计）
+      if (config.enableAbnormalExitDetection) {
+        this._installHook('abnormalExit', () => this._installAbnormalExitDetection())
+      } else {
+        this._uninstallHook('abnormalExit')
+      }
+      // 会话跟踪
+      if (config.enableSession) {
+        this._installHook('session', () => this._installSessionTracking())
+        this._startSessionSummaryTimer()
+      } else {
+        this._uninstallHook('session')
+      }
+    }
+    // 离线队列：立即补发上次启动遗留的错误（网络恢复时由 hub 通知补发）
+    if (config.enableOfflineQueue && typeof uni !== 'undefined') {
+      this.flushOfflineQueue()
+    }
+    this._logger.info('错误监控已初始化')
+    // 按新配置补报初始化前捕获的错误
+    this._replayPreInitBuffer()
+  }
+  /**
+   * 销毁错误监控：发送缓冲区中的错误，卸载所有钩子并还原被替换的 window.onerror、console、uni 网络API、Vue 处理函数等
+   * 销毁后可再次调用 initErrorMonitor 重新初始化
+   */
+  destroy() {
+    this.flushBatch()
+    if (this._suppressedTimer) {
+      clearTimeout(this._suppressedTimer)
+      this._suppressedTimer = null
+      this._sendSuppressedSummary()
+    }
+    Array.from(this._hooks.keys())
+      .reverse()
+      .forEach(name => this._uninstallHook(name))
+    // 没有其他实例需要的全局钩子会被卸载并还原
+    hub.unbindClient(this)
+    this.wrapPromise = null
+    this.config = null
+    // 重新初始化时不沿用之前的发送器和格式化函数
+    this._sender = null
+    this._formatter = null
+    this._logger.info('错误监控已销毁')
+  }
+  /**
+   * 初始化未完成时调用：之前已初始化的实例销毁旧配置，避免继续按旧配置上报
+   * 尚未初始化的实例丢弃初始化前缓冲的错误，并卸载为缓冲而提前安装的全局钩子
+   * @private
+   */
+  _abortInit() {
+    if (this.config) {
+      this.destroy()
+    }
+    this._preInitBuffer = null
+    this._preInitDropped = 0
+    hub.unbindClient(this)
+  }
+  /**
+   * 安装实例自身的功能（会话跟踪、异常退出检测、Vue 错误处理函数），已安装时跳过
+   * @private
+   * @param {string} name 功能名称
+   * @param {Function} install 安装函数，返回卸载函数
+   */
+  _installHook(name, install) {
+    if (this._hooks.has(name)) {
+      return
+    }
+    this._hooks.set(name, install() || (() => {}))
+  }
+  /**
+   * 缓冲初始化前捕获的错误
+   * @private
+   * @param {string} method 初始化后补报时调用的方法
+   * @param {Array} args 调用参数
+   * @param {string} [option] 补报时需要开启的配置项，未开启时跳过（如自动捕获的全局错误对应 enableGlobalError）
+   * @returns {boolean} 是否已缓冲（首次初始化之后不再缓冲）
+   */
+  _bufferPreInit(method, args, option) {
+    if (!this._preInitBuffer) {
+      return false
+    }
+    if (this._preInitBuffer.length >= MAX_PRE_INIT_BUFFER_SIZE) {
+      this._preInitDropped++
+      return true
+    }
+    this._preInitBuffer.push({ method, args, option, timestamp: Date.now(), scope: this._getCurrentScope() })
+    return true
+  }
+  /**
+   * 补报初始化前缓冲的错误，依次经过级别过滤、采样、去重和发送流程
+   * @private
+   */
+  _replayPreInitBuffer() {
+    const buffer = this._preInitBuffer
+    const dropped = this._preInitDropped
+    this._preInitBuffer = null
+    this._preInitDropped = 0
+    if (!buffer || buffer.length === 0) {
+      return
+    }
+    this._logger.info(`补报初始化前捕获的 ${buffer.length} 条错误${dropped > 0 ? `，缓冲区已满丢弃 ${dropped} 条` : ''}`)
+    buffer.forEach(entry => {
+      if (entry.option && !this.config[entry.option]) {
+        return
+      }
+      this._replayingEntry = entry
+      try {
+        this[entry.method](...entry.args)
+      } catch (error) {
+        this._logger.warn('补报初始化前的错误失败:', error)
+      } finally {
+        this._replayingEntry = null
+      }
+    })
+  }
+  /**
+   * 卸载实例自身的功能
+   * @private
+   * @param {string} name 功能名称
+   */
+  _uninstallHook(name) {
+    const uninstall = this._hooks.get(name)
+    if (!uninstall) {
+      return
+    }
+    this._hooks.delete(name)
+    try {
+      uninstall()
+    } catch (error) {
+      this._logger.warn(`卸载钩子 ${name} 失败:`, error)
+    }
+  }
+  /**
+   * 手动上报错误
+   * @param {string} type 错误类型 ('manual', 'api', 'network', 'global', 'promise', 'console', 'miniProgram')
+   * @param {Error|Object} error 错误对象或错误信息
+   * @param {Object} [context] 错误上下文信息
+   * @param {boolean} [forceSend=false] 强制发送（忽略环境检查和错误级别过滤）
+   */
+  reportError(type = 'manual', error, context = {}, forceSend = false) {
+  		// 初始化前先缓冲，初始化后按配置补报；销毁后直接丢弃
+  		if (!this.config) {
+  			this._bufferPreInit('reportError', [type, error, context, forceSend])
+  			return
+  		}
+  		// 更新会话状态（在过滤之前，保证采样和去重不影响会话统计）
+  		this._updateSessionStatus(type)
+  		// 错误级别过滤（forceSend 时跳过）
+  		if (!forceSend && !this._shouldReportError(type)) {
+  			this._logger.debug(`错误级别过滤：跳过上报 ${type} 类型错误`)
+  			return
+  		}
+  		// 采样（forceSend 时跳过）
+  		const sampleRate = forceSend ? 1 : this._getSampleRate(type)
+  		if (!this._isSampled(sampleRate)) {
+  			return
+  		}
+  
+  		// 自动提取API错误相关信息
+  		let extractedError = error
+    let extractedContext = context
+    if (type === 'api' && typeof error === 'object' && error.config) {
+      // 当type为'api'且error对象包含config属性时，自动提取API相关信息
+      const response = error
+      extractedContext = {
+        url: response.config?.url,
+        method: response.config?.method,
+        statusCode: response.data?.code || response.statusCode,
+        statusText: response.data?.msg || response.data?.message || '未知错误',
+        responseTime: Date.now() - (response.config?.startTime || Date.now()),
+        requestData: response.config?.data,
+        requestHeaders: response.config?.header,
+        environment: this._getMode(),
+        // 保留原有的error信息
+        ...context,
+      }
+      extractedError = response.data?.msg || response.data?.message || response.message || error
+    }
+    const errorInfo = {
+      type,
+      error: extractedError instanceof Error ? extractedError.message : extractedError,
+      stack: extractedError instanceof Error ? extractedError.stack : null,
+      context: extractedContext,
+      timestamp: Date.now(),
+      url: extractedContext.url || this._getCurrentUrl(),
+      method: extractedContext.method || '',
+      userAgent: this._getUserAgent(),
+      page: getCurrentPageName(),
+      sampleRate,
+      breadcrumbs: this.getBreadcrumbs(),
+      frames: extractedError instanceof Error ? parseStackTrace(extractedError.stack, this.config || {}) : [],
+      // API错误特有字段
+      statusCode: extractedContext.statusCode,
+      statusText: extractedContext.statusText,
+      responseTime: extractedContext.responseTime,
+      requestData: extractedContext.requestData,
+      requestHeaders: extractedContext.requestHeaders,
+      requestId: extractedContext.requestId,
+      environment: extractedContext.environment,
+      // 网络错误特有字段
+      retryCount: extractedContext.retryCount,
+      networkType: extractedContext.networkType,
+      isConnected: extractedContext.isConnected,
+    }
+    // 生成错误指纹用于去重
+    errorInfo.fingerprint = this._getErrorFingerprint(errorInfo, this._generateErrorSignature(type, error, context))
+    // 错误去重检查（forceSend 时跳过）
+    if (!forceSend && this._isDuplicateError(errorInfo.fingerprint)) {
+      this._logger.debug(`错误去重：跳过重复错误 ${errorInfo.fingerprint}`)
+      return
+    }
+    // 更新错误统计
+    this.errorStats.total++
+    this.errorStats[type] = (this.errorStats[type] || 0) + 1
+    this.errorStats.lastErrorTime = errorInfo.timestamp
+    // 确定是否强制发送
+    const shouldForceSend = forceSend || (type === 'api' && extractedContext && typeof extractedContext === 'object')
+    this._captureEvent(errorInfo, { originalException: error, context, forceSend: shouldForceSend })
+  }
+  /**
+   * 获取错误统计信息
+   * @returns {Object} 错误统计信息
+   */
+  getErrorStats() {
+    return { ...this.errorStats }
+  }
+  /**
+   * 重置错误统计
+   */
+  resetErrorStats() {
+    this.errorStats = {
+      total: 0,
+      global: 0,
+      promise: 0,
+      console: 0,
       miniProgram: 0,
       api: 0,
       network: 0,
+      vue: 0,
+      suppressed: 0,
       lastErrorTime: null,
     }
   }
@@ -337,7 +1436,7 @@ class ErrorMonitor {
   getEnvironmentInfo() {
     return {
       isProduction: this._isProduction(),
-      mode: import.meta.env.MODE,
+      mode: this._getMode(),
       platform: this._getUserAgent(),
       errorMonitorEnabled: !!this.config,
       errorLevel: this.config?.errorLevel || ERROR_LEVEL.SILENT,
@@ -367,6 +1466,27 @@ class ErrorMonitor {
         return true
     }
   }
+  /**
+   * 获取错误类型的采样率，按类型配置优先，其次按严重程度配置，默认为1（全部上报）
+   * @private
+   * @param {string} errorType 错误类型
+   * @returns {number} 采样率（0-1）
+   */
+  _getSampleRate(errorType) {
+    const { types = {}, severities = {} } = this.config?.sampling || {}
+    const severity = ERROR_SEVERITY[errorType] || 'normal'
+    const rate = types[errorType] ?? severities[severity] ?? 1
+    return Math.min(Math.max(Number(rate) || 0, 0), 1)
+  }
+  /**
+   * 按采样率判断本次错误是否上报
+   * @private
+   * @param {number} sampleRate 采样率（0-1）
+   * @returns {boolean} 是否上报
+   */
+  _isSampled(sampleRate) {
+    return sampleRate >= 1 || Math.random() < sampleRate
+  }
   /**
    * 获取当前错误级别
    * @returns {string} 当前错误级别
@@ -381,86 +1501,380 @@ class ErrorMonitor {
   	setErrorLevel(level) {
   		const validLevels = [ERROR_LEVEL.STRICT, ERROR_LEVEL.STANDARD, ERROR_LEVEL.SILENT]
   		if (!validLevels.includes(level)) {
-  			console.warn(`无效的错误级别 "${level}"，有效值为: strict, standard, silent`)
+  			this._logger.warn(`无效的错误级别 "${level}"，有效值为: strict, standard, silent`)
   			return
   		}
   		if (this.config) {
   			this.config.errorLevel = level
-  			console.log(`错误级别已更新为: ${level}`)
+  			this._logger.info(`错误级别已更新为: ${level}`)
   		}
   	}
   
   	/**
-  		 * 生成错误签名（用于去重）
-  		 * @private
-  		 * @param {string|Object} typeOrErrorInfo 错误类型或错误信息对象
-  		 * @param {Error|Object} [error] 错误对象（当第一个参数是类型时使用）
-  		 * @param {Object} [context] 错误上下文（当第一个参数是类型时使用）
-  		 * @returns {string} 错误签名
-  		 */
-  		_generateErrorSignature(typeOrErrorInfo, error, context) {
-  			// 兼容两种调用方式
-  			let type, errorInfo
-  			if (typeof typeOrErrorInfo === 'string') {
-  				type = typeOrErrorInfo
-  				// 根据类型提取签名所需的关键信息
-  				const errorMessage = error instanceof Error ? error.message : (typeof error === 'string' ? error : JSON.stringify(error))
-  				const url = context?.url || ''
-  				const method = context?.method || ''
-  				const statusCode = context?.statusCode || 0
-  				
-  				switch (type) {
-  					case 'global':
-  						return `${type}:${errorMessage}:${context?.source || ''}:${context?.lineno || 0}:${context?.colno || 0}`
-  					case 'promise':
-  						return `${type}:${errorMessage}`
-  					case 'console':
-  						return `${type}:${errorMessage}`
-  					case 'miniProgram':
-  					case 'pageNotFound':
-  						return `${type}:${errorMessage}:${context?.path || ''}`
-  					case 'network':
-  						return `${type}:${url}:${method}`
-  					case 'api':
-  						return `${type}:${url}:${method}:${statusCode}`
-  					default:
-  						return `${type}:${errorMessage}`
-  				}
-  			} else {
-  				// 旧的方式：传入 errorInfo 对象
-  				errorInfo = typeOrErrorInfo
-  				type = errorInfo.type || 'unknown'
-  				let signature = type
-  	
-  				switch (type) {
-  					case 'global':
-  						signature = `${type}:${errorInfo.message || ''}:${errorInfo.source || ''}:${errorInfo.lineno || 0}:${errorInfo.colno || 0}`
-  						break
-  					case 'promise':
-  						const reason = typeof errorInfo.reason === 'object'
-  							? JSON.stringify(errorInfo.reason)
-  							: String(errorInfo.reason || '')
-  						signature = `${type}:${reason}`
-  						break
-  					case 'console':
-  						signature = `${type}:${(errorInfo.args || []).join('|')}`
-  						break
-  					case 'miniProgram':
-  					case 'pageNotFound':
-  						signature = `${type}:${errorInfo.error || errorInfo.path || ''}`
-  						break
-  					case 'network':
-  						signature = `${type}:${errorInfo.url || ''}:${errorInfo.method || ''}`
-  						break
+  	 * 设置自定义发送器
+  	 * @param {Function|null} sender 发送函数 (errorInfo, message) => Promise，传入 null 恢复内置的webhook发送
+  	 */
+  	setSender(sender) {
+  		if (sender !== null && typeof sender !== 'function') {
+  			this._logger.warn('无效的发送器，sender 必须是函数')
+  			return
+  		}
+  		this._sender = sender
+  	}
+
+  	/**
+  	 * 设置自定义格式化函数
+  	 * @param {Function|null} formatter 格式化函数 (errorInfo) => string，传入 null 恢复内置的消息格式
+  	 */
+  	setFormatter(formatter) {
+  		if (formatter !== null && typeof formatter !== 'function') {
+  			this._logger.warn('无效的格式化函数，formatter 必须是函数')
+  			return
+  		}
+  		this._formatter = formatter
+  	}
+
+  	/**
+  	 * 添加一条面包屑（操作轨迹）
+  	 * @param {Object} breadcrumb 面包屑
+  	 * @param {string} breadcrumb.message 描述
+  	 * @param {string} [breadcrumb.type='manual'] 类型：navigation、http、console、lifecycle、manual 等
+  	 * @param {string} [breadcrumb.level='info'] 级别：debug、info、warning、error
+  	 * @param {Object} [breadcrumb.data] 附加数据
+  	 */
+  	addBreadcrumb(breadcrumb = {}) {
+  		if (this.config && !this.config.enableBreadcrumbs) {
+  			return
+  		}
+  		const maxBreadcrumbs = this.config?.maxBreadcrumbs ?? DEFAULT_MAX_BREADCRUMBS
+  		if (maxBreadcrumbs <= 0) {
+  			return
+  		}
+  		this._breadcrumbs.push(createBreadcrumb(breadcrumb))
+  		if (this._breadcrumbs.length > maxBreadcrumbs) {
+  			this._breadcrumbs.splice(0, this._breadcrumbs.length - maxBreadcrumbs)
+  		}
+  	}
+
+  	/**
+  	 * 获取当前记录的面包屑
+  	 * @returns {Array<Object>} 面包屑列表（从早到晚）
+  	 */
+  	getBreadcrumbs() {
+  		return this._breadcrumbs.map(breadcrumb => ({ ...breadcrumb }))
+  	}
+
+  	/**
+  	 * 清空面包屑
+  	 */
+  	clearBreadcrumbs() {
+  		this._breadcrumbs = []
+  	}
+
+  	/**
+  	 * 设置当前用户，合并到之后的每条错误中（在 withScope 回调中调用时只作用于该作用域）
+  	 * @param {Object|null} user 用户信息，如 { id, username, email }，传入 null 清除
+  	 */
+  	setUser(user) {
+  		this._getCurrentScope().setUser(user)
+  	}
+
+  	/**
+  	 * 设置标签，合并到之后的每条错误中（在 withScope 回调中调用时只作用于该作用域）
+  	 * @param {string} key 标签名，如 tenant、featureFlag
+  	 * @param {string|number|boolean|null} value 标签值，传入 null 或 undefined 删除该标签
+  	 */
+  	setTag(key, value) {
+  		this._getCurrentScope().setTag(key, value)
+  	}
+
+  	/**
+  	 * 批量设置标签
+  	 * @param {Object} tags 标签对象
+  	 */
+  	setTags(tags = {}) {
+  		this._getCurrentScope().setTags(tags)
+  	}
+
+  	/**
+  	 * 设置附加上下文，合并到之后的每条错误中（在 withScope 回调中调用时只作用于该作用域）
+  	 * @param {string} name 上下文名称，如 order、device
+  	 * @param {Object|null} context 上下文数据，传入 null 删除该上下文
+  	 */
+  	setContext(name, context) {
+  		this._getCurrentScope().setContext(name, context)
+  	}
+
+  	/**
+  	 * 创建子作用域并压入作用域栈，之后设置的用户、标签、上下文只作用于该作用域，需配合 popScope 使用
+  	 * @returns {Scope} 子作用域
+  	 */
+  	pushScope() {
+  		const scope = new Scope(this._getCurrentScope())
+  		this._scopeStack.push(scope)
+  		// 作用域未弹出时，自动捕获的错误只发送给该实例
+  		hub.pushScope(this, scope)
+  		return scope
+  	}
+
+  	/**
+  	 * 弹出当前作用域（全局作用域不会被弹出）
+  	 * @returns {boolean} 是否弹出成功
+  	 */
+  	popScope() {
+  		if (this._scopeStack.length <= 1) {
+  			this._logger.warn('作用域栈中只有全局作用域，无法弹出')
+  			return false
+  		}
+  		this._scopeStack.pop()
+  		return true
+  	}
+
+  	/**
+  	 * 在子作用域中执行回调，作用域中的标签、上下文和面包屑只作用于回调内上报的错误
+  	 * 回调内通过 wrapPromise 包装的 Promise 在回调结束后失败时，也会使用该作用域
+  	 * @param {Function} callback 回调函数 (scope) => any
+  	 * @returns {*} 回调的返回值
+  	 */
+  	withScope(callback) {
+  		const depth = this._scopeStack.length
+  		const scope = this.pushScope()
+  		try {
+  			return callback(scope)
+  		} finally {
+  			// 回调内未配对的 pushScope 一并弹出
+  			this._scopeStack.splice(depth)
+  		}
+  	}
+
+  	/**
+  	 * 获取当前作用域
+  	 * @private
+  	 * @returns {Scope} 当前作用域
+  	 */
+  	_getCurrentScope() {
+  		return this._scopeStack[this._scopeStack.length - 1]
+  	}
+
+  	/**
+  	 * 将用户、标签和附加上下文合并到错误信息中，错误自身的标签和上下文优先
+  	 * @private
+  	 * @param {Object} errorInfo 错误信息
+  	 * @param {Scope} [scope] 作用域，默认为当前作用域
+  	 * @returns {Object} 合并后的错误信息
+  	 */
+  	_applyScope(errorInfo, scope = this._getCurrentScope()) {
+  		const { user, tags, contexts, breadcrumbs } = scope
+  		const event = { ...errorInfo }
+  		if (user && !event.user) {
+  			event.user = { ...user }
+  		}
+  		if (Object.keys(tags).length > 0) {
+  			event.tags = { ...tags, ...errorInfo.tags }
+  		}
+  		if (Object.keys(contexts).length > 0) {
+  			event.contexts = { ...contexts, ...errorInfo.contexts }
+  		}
+  		// 作用域内的面包屑按时间合并到全局面包屑中
+  		if (breadcrumbs.length > 0) {
+  			const maxBreadcrumbs = this.config?.maxBreadcrumbs ?? DEFAULT_MAX_BREADCRUMBS
+  			event.breadcrumbs = [...(errorInfo.breadcrumbs || []), ...breadcrumbs]
+  				.sort((a, b) => a.timestamp - b.timestamp)
+  				.slice(-maxBreadcrumbs)
+  		}
+  		return event
+  	}
+
+  	/**
+  	 * 路由跳转时记录面包屑（由 hub 的路由拦截器调用）
+  	 * @private
+  	 * @param {string} method 路由API名称
+  	 * @param {Object} args 调用参数
+  	 */
+  	_onNavigate(method, args) {
+  		this.addBreadcrumb({
+  			type: 'navigation',
+  			message: method === 'navigateBack' ? `navigateBack ${args?.delta || 1}` : `${method} ${args?.url || ''}`,
+  			data: { from: getCurrentPageName(), to: args?.url },
+  		})
+  	}
+
+  	/**
+  	 * 应用回到前台（由 hub 调用）
+  	 * @private
+  	 * @param {Object} [options] onAppShow 参数
+  	 */
+  	_onAppShow(options) {
+  		this.addBreadcrumb({
+  			type: 'lifecycle',
+  			message: 'App onShow',
+  			data: { path: options?.path, scene: options?.scene },
+  		})
+  		this._saveRunMarker({ foreground: true })
+  		if (this._hooks.has('session')) {
+  			this._resumeSession()
+  		}
+  	}
+
+  	/**
+  	 * 应用切到后台（由 hub 调用）
+  	 * @private
+  	 */
+  	_onAppHide() {
+  		this.addBreadcrumb({ type: 'lifecycle', message: 'App onHide' })
+  		this._saveRunMarker({ foreground: false })
+  		this._pauseSession()
+  	}
+
+  	/**
+  	 * 判断页面是否属于该实例（匹配 pageInclude）
+  	 * @private
+  	 * @param {string} page 页面路径
+  	 * @returns {boolean} 是否匹配
+  	 */
+  	_matchesPage(page) {
+  		const path = String(page || '').replace(/^\//, '')
+  		return this.config.pageInclude.some(pattern =>
+  			pattern instanceof RegExp ? pattern.test(path) : typeof pattern === 'string' && pattern !== '' && path.startsWith(pattern.replace(/^\//, '')),
+  		)
+  	}
+
+  	/**
+  	 * 记录网络请求面包屑
+  	 * @private
+  	 * @param {string} apiName uni网络API名称
+  	 * @param {Object} options 请求参数
+  	 * @param {number} startTime 请求开始时间
+  	 * @param {Object|null} res 成功响应
+  	 * @param {Object} [err] 失败信息
+  	 */
+  	_addRequestBreadcrumb(apiName, options, startTime, res, err) {
+  		if (!this.config?.enableBreadcrumbs) {
+  			return
+  		}
+  		const method = getNetworkMethod(apiName, options)
+  		const statusCode = res?.statusCode
+  		this.addBreadcrumb({
+  			type: 'http',
+  			level: err || statusCode >= 400 ? 'error' : 'info',
+  			message: `${method} ${options.url} ${err ? `失败 ${err.errMsg || ''}`.trim() : statusCode}`,
+  			data: {
+  				url: options.url,
+  				method,
+  				statusCode,
+  				duration: Date.now() - startTime,
+  			},
+  		})
+  	}
+
+  	/**
+  		 * 生成错误签名（用于去重）
+  		 * @private
+  		 * @param {string|Object} typeOrErrorInfo 错误类型或错误信息对象
+  		 * @param {Error|Object} [error] 错误对象（当第一个参数是类型时使用）
+  		 * @param {Object} [context] 错误上下文（当第一个参数是类型时使用）
+  		 * @returns {string} 错误签名
+  		 */
+  		_generateErrorSignature(typeOrErrorInfo, error, context) {
+  			// 兼容两种调用方式
+  			let type, errorInfo
+  			if (typeof typeOrErrorInfo === 'string') {
+  				type = typeOrErrorInfo
+  				// 根据类型提取签名所需的关键信息
+  				const errorMessage = normalizeErrorMessage(error instanceof Error ? error.message : (typeof error === 'string' ? error : JSON.stringify(error)))
+  				const url = normalizeErrorMessage(context?.url || '')
+  				const method = context?.method || ''
+  				const statusCode = context?.statusCode || 0
+  				
+  				switch (type) {
+  					case 'global':
+  						return `${type}:${errorMessage}:${normalizeErrorMessage(context?.source || '')}:${context?.lineno || 0}:${context?.colno || 0}`
+  					case 'promise':
+  						return `${type}:${errorMessage}`
+  					case 'console':
+  						return `${type}:${errorMessage}`
+  					case 'miniProgram':
+  					case 'pageNotFound':
+  						return `${type}:${errorMessage}:${context?.path || ''}`
+  					case 'network':
+  						return `${type}:${url}:${method}`
+  					case 'api':
+  						return `${type}:${url}:${method}:${statusCode}`
+  					default:
+  						return `${type}:${errorMessage}`
+  				}
+  			} else {
+  				// 旧的方式：传入 errorInfo 对象
+  				errorInfo = typeOrErrorInfo
+  				type = errorInfo.type || 'unknown'
+  				let signature = type
+  	
+  				switch (type) {
+  					case 'global':
+  						signature = `${type}:${normalizeErrorMessage(errorInfo.message || '')}:${normalizeErrorMessage(errorInfo.source || '')}:${errorInfo.lineno || 0}:${errorInfo.colno || 0}`
+  						break
+  					case 'promise':
+  						// 对象类型的 reason 优先使用 message，避免堆栈和动态字段导致签名各不相同
+  						const reason = errorInfo.reason && typeof errorInfo.reason === 'object'
+  							? (typeof errorInfo.reason.message === 'string' ? errorInfo.reason.message : JSON.stringify(errorInfo.reason))
+  							: String(errorInfo.reason || '')
+  						signature = `${type}:${normalizeErrorMessage(reason)}`
+  						break
+  					case 'console':
+  						signature = `${type}:${normalizeErrorMessage((errorInfo.args || []).join('|'))}`
+  						break
+  					case 'miniProgram':
+  					case 'pageNotFound':
+  						signature = `${type}:${normalizeErrorMessage(errorInfo.error || errorInfo.path || '')}`
+  						break
+  					case 'network':
+  						signature = `${type}:${normalizeErrorMessage(errorInfo.url || '')}:${errorInfo.method || ''}`
+  						break
   					case 'api':
-  						signature = `${type}:${errorInfo.url || ''}:${errorInfo.method || ''}:${errorInfo.statusCode || 0}`
+  						signature = `${type}:${normalizeErrorMessage(errorInfo.url || '')}:${errorInfo.method || ''}:${errorInfo.statusCode || 0}`
+  						break
+  					case 'vue':
+  					case 'vueWarn':
+  						signature = `${type}:${normalizeErrorMessage(errorInfo.message || '')}:${errorInfo.componentName || ''}:${errorInfo.lifecycle || ''}`
   						break
   					default:
-  						signature = `${type}:${errorInfo.error || errorInfo.message || ''}`
+  						signature = `${type}:${normalizeErrorMessage(errorInfo.error || errorInfo.message || '')}`
   				}
   				return signature
   			}
-  		}  
+  		}
+  	/**
+  	 * 获取错误指纹（用于去重和批量汇总分组）
+  	 * 优先使用自定义 fingerprint 钩子，其次按业务代码堆栈帧分组，最后使用内置错误签名
+  	 * @private
+  	 * @param {Object} errorInfo 错误信息
+  	 * @param {string} [signature] 内置错误签名，默认根据 errorInfo 生成
+  	 * @returns {string} 错误指纹
+  	 */
+  	_getErrorFingerprint(errorInfo, signature = this._generateErrorSignature(errorInfo)) {
+  		const { fingerprint, groupByStack } = this.config || {}
+  		const frames = errorInfo.frames || (typeof fingerprint === 'function' || groupByStack ? this._getStackFrames(errorInfo) : [])
+  		if (typeof fingerprint === 'function') {
+  			try {
+  				const custom = fingerprint({ ...errorInfo, frames })
+  				const parts = (Array.isArray(custom) ? custom : [custom]).filter(part => part !== undefined && part !== null && part !== '')
+  				if (parts.length > 0) {
+  					return parts.join(':')
+  				}
+  			} catch (error) {
+  				this._logger.warn('自定义错误指纹执行失败，使用内置规则:', error)
+  			}
+  		}
+  		if (groupByStack) {
+  			const count = typeof groupByStack === 'number' ? groupByStack : DEFAULT_FINGERPRINT_FRAMES_COUNT
+  			const appFrames = frames.filter(frame => frame.inApp).slice(0, count)
+  			if (appFrames.length > 0) {
+  				return `${errorInfo.type}:${appFrames.map(frame => `${frame.function || '?'}@${(frame.file || '').split('?')[0]}:${frame.line}`).join('|')}`
+  			}
+  		}
+  		return signature
+  	}
+  
   	/**
   		 * 检查错误是否在去重间隔内已上报过
   		 * @private
@@ -468,10 +1882,12 @@ class ErrorMonitor {
   		 * @returns {boolean} true表示是重复错误（应跳过），false表示是新错误（应上报）
   		 */
   		_isDuplicateError(signatureOrErrorInfo) {
-  			// 支持传入签名或 errorInfo 对象
-  			const signature = typeof signatureOrErrorInfo === 'string' 
-  				? signatureOrErrorInfo 
-  				: this._generateErrorSignature(signatureOrErrorInfo)
+  			// 支持传入签名或 errorInfo 对象，传入对象时将指纹记录到 errorInfo.fingerprint
+  			let signature = signatureOrErrorInfo
+  			if (typeof signatureOrErrorInfo !== 'string') {
+  				signature = this._getErrorFingerprint(signatureOrErrorInfo)
+  				signatureOrErrorInfo.fingerprint = signature
+  			}
   			
   			const now = Date.now()
   			const dedupInterval = this.config?.dedupInterval || DEFAULT_DEDUP_INTERVAL
@@ -482,7 +1898,13 @@ class ErrorMonitor {
   	
   				// 如果在去重间隔内，认为是重复错误
   				if (now - lastReportTime < dedupInterval) {
-  					console.info(`错误去重：跳过重复错误，距上次上报 ${Math.round((now - lastReportTime) / 1000)} 秒`)
+  					this._logger.debug(`错误去重：跳过重复错误，距上次上报 ${Math.round((now - lastReportTime) / 1000)} 秒`)
+  					// 批量汇总时，重复错误仍计入当前汇总分组的出现次数
+  					const batchGroup = this._batchGroups.get(signature)
+  					if (batchGroup) {
+  						batchGroup.count++
+  						batchGroup.lastSeen = now
+  					}
   					return true
   				}
   			}
@@ -518,7 +1940,7 @@ class ErrorMonitor {
   	 */
   	clearErrorCache() {
   		this._errorCache.clear()
-  		console.log('错误去重缓存已清空')
+  		this._logger.info('错误去重缓存已清空')
   	}
   
   	/**
@@ -531,6 +1953,22 @@ class ErrorMonitor {
   
   		_handleGlobalError(errorInfo) {
   
+  			// 初始化前先缓冲；销毁后直接丢弃
+  
+  			if (!this.config) {
+  
+  				this._bufferPreInit('_handleGlobalError', [errorInfo], 'enableGlobalError')
+  
+  				return
+  
+  			}
+  
+  			// 更新会话状态
+  
+  			this._updateSessionStatus('global')
+  
+  			this._recordFatalError(errorInfo)
+  
   			// 错误级别过滤
   
   			if (!this._shouldReportError('global')) {
@@ -539,6 +1977,16 @@ class ErrorMonitor {
   
   			}
   
+  			// 采样
+  
+  			const sampleRate = this._getSampleRate('global')
+  
+  			if (!this._isSampled(sampleRate)) {
+  
+  				return
+  
+  			}
+  
   			// 构建完整错误信息用于去重检查
   
   			const fullErrorInfo = {
@@ -569,7 +2017,7 @@ class ErrorMonitor {
   
   			this.errorStats.lastErrorTime = errorInfo.timestamp
   
-  			this._sendErrorToWebhook({
+  			this._captureEvent({
   
   				...fullErrorInfo,
   
@@ -579,224 +2027,1426 @@ class ErrorMonitor {
   
   				page: getCurrentPageName(),
   
-  			})
+  				sampleRate,
+  
+  				breadcrumbs: this.getBreadcrumbs(),
+  
+  				frames: this._getStackFrames(fullErrorInfo),
+  
+  			}, { originalException: errorInfo.error || errorInfo.message })
   
   		}
   /**
-  	 * 处理Promise错误
-  	 * @private
-  	 */
-  	_handlePromiseError(errorInfo) {
-  		// 错误级别过滤
-  		if (!this._shouldReportError('promise')) {
-  			return
-  		}
-  		// 构建完整错误信息用于去重检查
-  		const fullErrorInfo = {
-  			...errorInfo,
-  			reason: this._serializeError(errorInfo.reason),
-  		}
-  		// 错误去重检查
-  		if (this._isDuplicateError(fullErrorInfo)) {
-  			return
-  		}
-  		this.errorStats.total++
-  		this.errorStats.promise++
-  		this.errorStats.lastErrorTime = errorInfo.timestamp
-  		this._sendErrorToWebhook({
-  			...fullErrorInfo,
-  			url: this._getCurrentUrl(),
-  			userAgent: this._getUserAgent(),
-  			page: getCurrentPageName(),
-  		})
-  	}  /**
-   * 处理console错误
+  	 * 处理Promise错误
+  	 * @private
+  	 */
+  	_handlePromiseError(errorInfo, hint = {}) {
+  		// 初始化前先缓冲；销毁后直接丢弃
+  		if (!this.config) {
+  			this._bufferPreInit('_handlePromiseError', [errorInfo, hint], 'enableGlobalError')
+  			return
+  		}
+  		// 更新会话状态
+  		this._updateSessionStatus('promise')
+  		// 错误级别过滤
+  		if (!this._shouldReportError('promise')) {
+  			return
+  		}
+  		// 采样
+  		const sampleRate = this._getSampleRate('promise')
+  		if (!this._isSampled(sampleRate)) {
+  			return
+  		}
+  		// 构建完整错误信息用于去重检查
+  		const fullErrorInfo = {
+  			...errorInfo,
+  			reason: this._serializeError(errorInfo.reason),
+  		}
+  		// 错误去重检查
+  		if (this._isDuplicateError(fullErrorInfo)) {
+  			return
+  		}
+  		this.errorStats.total++
+  		this.errorStats.promise++
+  		this.errorStats.lastErrorTime = errorInfo.timestamp
+  		this._captureEvent({
+  			...fullErrorInfo,
+  			url: this._getCurrentUrl(),
+  			userAgent: this._getUserAgent(),
+  			page: getCurrentPageName(),
+  			sampleRate,
+  			breadcrumbs: this.getBreadcrumbs(),
+  			frames: this._getStackFrames(fullErrorInfo),
+  		}, { originalException: errorInfo.reason, ...hint })
+  	}  /**
+   * 处理console错误
+   * @private
+   */
+  _handleConsoleError(errorInfo) {
+  // 更新会话状态
+  this._updateSessionStatus('console')
+  // 错误级别过滤
+  if (!this._shouldReportError('console')) {
+  return
+  }
+  // 采样
+  const sampleRate = this._getSampleRate('console')
+  if (!this._isSampled(sampleRate)) {
+    return
+  }
+  // 错误去重检查
+  if (this._isDuplicateError(errorInfo)) {
+   return
+  }
+  this.errorStats.total++
+  this.errorStats.console++
+  this.errorStats.lastErrorTime = errorInfo.timestamp
+  this._captureEvent({
+   ...errorInfo,
+    url: this._getCurrentUrl(),
+			userAgent: this._getUserAgent(),
+			page: getCurrentPageName(),
+			sampleRate,
+			breadcrumbs: this.getBreadcrumbs(),
+			frames: this._getStackFrames(errorInfo),
+		}, { originalException: errorInfo.args })
+	}
+  /**
+   * 处理小程序错误
+   * @private
+   */
+  _handleMiniProgramError(errorInfo) {
+  // 初始化前先缓冲；销毁后直接丢弃
+  if (!this.config) {
+  this._bufferPreInit('_handleMiniProgramError', [errorInfo])
+  return
+  }
+  // 更新会话状态
+  this._updateSessionStatus(errorInfo.type)
+  if (errorInfo.type === 'miniProgram') {
+    this._recordFatalError(errorInfo)
+  }
+  // 错误级别过滤（小程序错误和页面未找到都属于严重错误）
+  const errorType = errorInfo.type === 'pageNotFound' ? 'pageNotFound' : 'miniProgram'
+  if (!this._shouldReportError(errorType)) {
+  return
+  }
+  // 采样
+  const sampleRate = this._getSampleRate(errorType)
+  if (!this._isSampled(sampleRate)) {
+    return
+  }
+  // 错误去重检查
+  if (this._isDuplicateError(errorInfo)) {
+   return
+  }
+  this.errorStats.total++
+  this.errorStats.miniProgram++
+  this.errorStats.lastErrorTime = errorInfo.timestamp
+  this._captureEvent({
+   ...errorInfo,
+    url: this._getCurrentUrl(),
+			userAgent: this._getUserAgent(),
+			page: getCurrentPageName(),
+			sampleRate,
+			breadcrumbs: this.getBreadcrumbs(),
+			frames: this._getStackFrames(errorInfo),
+		}, { originalException: errorInfo.error })
+	}
+  /**
+   * 处理网络错误
+   * @private
+   */
+  _handleNetworkError(errorInfo) {
+  // 更新会话状态
+  this._updateSessionStatus('network')
+  // 错误级别过滤
+  if (!this._shouldReportError('network')) {
+  return
+  }
+  // 采样
+  const sampleRate = this._getSampleRate('network')
+  if (!this._isSampled(sampleRate)) {
+    return
+  }
+  // 错误去重检查
+  if (this._isDuplicateError(errorInfo)) {
+   return
+  }
+  this.errorStats.total++
+  this.errorStats.network++
+  this.errorStats.lastErrorTime = errorInfo.timestamp
+  // 保留请求地址作为 url，页面信息由 page 字段提供
+  this._captureEvent({
+   ...errorInfo,
+    url: errorInfo.url || this._getCurrentUrl(),
+			userAgent: this._getUserAgent(),
+			page: getCurrentPageName(),
+			sampleRate,
+			breadcrumbs: this.getBreadcrumbs(),
+		}, { originalException: errorInfo.error })
+	}
+  /**
+   * 处理Vue组件错误和警告
+   * @private
+   */
+  _handleVueError(errorInfo, hint = {}) {
+    // 初始化前先缓冲（插件可能早于 initErrorMonitor 安装）；销毁后直接丢弃
+    if (!this.config) {
+      this._bufferPreInit('_handleVueError', [errorInfo, hint])
+      return
+    }
+    // 更新会话状态
+    this._updateSessionStatus(errorInfo.type)
+    // 错误级别过滤
+    if (!this._shouldReportError(errorInfo.type)) {
+      return
+    }
+    // 采样
+    const sampleRate = this._getSampleRate(errorInfo.type)
+    if (!this._isSampled(sampleRate)) {
+      return
+    }
+    // 错误去重检查
+    if (this._isDuplicateError(errorInfo)) {
+      return
+    }
+    this.errorStats.total++
+    this.errorStats.vue++
+    this.errorStats.lastErrorTime = errorInfo.timestamp
+    this._captureEvent({
+      ...errorInfo,
+      url: this._getCurrentUrl(),
+      userAgent: this._getUserAgent(),
+      page: getCurrentPageName(),
+      sampleRate,
+      breadcrumbs: this.getBreadcrumbs(),
+      frames: this._getStackFrames(errorInfo),
+    }, { originalException: errorInfo.error, ...hint })
+  }
+  /**
+   * 网络API成功回调：记录面包屑，request 按接口错误规则检查，上传/下载的HTTP错误状态码上报为网络错误
+   * @private
+   */
+  _onNetworkSuccess(apiName, options, startTime, res) {
+    this._addRequestBreadcrumb(apiName, options, startTime, res)
+    if (apiName === 'request') {
+      this._checkApiResponse(options, startTime, res)
+      return
+    }
+    if (res && res.statusCode >= 400) {
+      this._handleNetworkError({
+        type: 'network',
+        api: apiName,
+        url: options.url,
+        method: getNetworkMethod(apiName, options),
+        statusCode: res.statusCode,
+        error: { errMsg: `${apiName}:fail HTTP ${res.statusCode}` },
+        responseTime: Date.now() - startTime,
+        timestamp: Date.now(),
+      })
+    }
+  }
+  /**
+   * 网络API失败回调：记录面包屑并上报网络错误
+   * @private
+   */
+  _onNetworkFail(apiName, options, startTime, err) {
+    this._addRequestBreadcrumb(apiName, options, startTime, null, err || {})
+    this._handleNetworkError({
+      type: 'network',
+      api: apiName,
+      url: options.url,
+      method: getNetworkMethod(apiName, options),
+      error: err,
+      responseTime: Date.now() - startTime,
+      timestamp: Date.now(),
+    })
+  }
+  /**
+   * 监听 SocketTask 的错误和异常关闭
+   * @private
+   * @param {Object} socketTask uni.connectSocket 返回的 SocketTask
+   * @param {Object} options 连接参数
+   */
+  _observeSocketTask(socketTask, options) {
+    if (!socketTask || typeof socketTask.onError !== 'function') {
+      return
+    }
+    socketTask.onError(err => {
+      this.addBreadcrumb({ type: 'http', level: 'error', message: `SOCKET ${options.url} 错误`, data: { url: options.url } })
+      this._handleNetworkError({
+        type: 'network',
+        api: 'connectSocket',
+        url: options.url,
+        method: 'SOCKET',
+        error: err,
+        timestamp: Date.now(),
+      })
+    })
+    typeof socketTask.onClose === 'function' &&
+      socketTask.onClose(res => {
+        const code = res?.code
+        if (code === undefined || NORMAL_SOCKET_CLOSE_CODES.includes(code)) {
+          return
+        }
+        this.addBreadcrumb({ type: 'http', level: 'error', message: `SOCKET ${options.url} 异常关闭 ${code}`, data: { url: options.url, code } })
+        this._handleNetworkError({
+          type: 'network',
+          api: 'connectSocket',
+          url: options.url,
+          method: 'SOCKET',
+          statusCode: code,
+          error: { code, errMsg: `connectSocket:close ${code} ${res.reason || ''}`.trim() },
+          timestamp: Date.now(),
+        })
+      })
+  }
+  /**
+   * 处理接口错误（自动捕获）
+   * @private
+   */
+  _handleApiError(errorInfo) {
+    // 更新会话状态
+    this._updateSessionStatus('api')
+    // 错误级别过滤
+    if (!this._shouldReportError('api')) {
+      return
+    }
+    // 采样
+    const sampleRate = this._getSampleRate('api')
+    if (!this._isSampled(sampleRate)) {
+      return
+    }
+    // 错误去重检查
+    if (this._isDuplicateError(errorInfo)) {
+      return
+    }
+    this.errorStats.total++
+    this.errorStats.api++
+    this.errorStats.lastErrorTime = errorInfo.timestamp
+    // 保留请求地址作为 url，页面信息由 page 字段提供
+    this._captureEvent({
+      ...errorInfo,
+      userAgent: this._getUserAgent(),
+      page: getCurrentPageName(),
+      sampleRate,
+      breadcrumbs: this.getBreadcrumbs(),
+    }, { originalException: errorInfo.error })
+  }
+  /**
+   * 按接口错误规则检查 uni.request 的成功响应，命中时上报接口错误
+   * @private
+   * @param {Object} options 请求参数
+   * @param {number} startTime 请求开始时间
+   * @param {Object} res 成功响应
+   */
+  _checkApiResponse(options, startTime, res) {
+    if (!this.config?.enableApiError || !res) {
+      return
+    }
+    const rules = this.config.apiErrorRules
+    const url = options.url || ''
+    if (rules.include.length > 0 && !rules.include.some(pattern => matchUrlPattern(url, pattern))) {
+      return
+    }
+    if (rules.exclude.some(pattern => matchUrlPattern(url, pattern))) {
+      return
+    }
+    const isHttpError = rules.statusCodes.some(rule =>
+      Array.isArray(rule) ? res.statusCode >= rule[0] && res.statusCode <= rule[1] : res.statusCode === rule,
+    )
+    let isBusinessError = false
+    if (!isHttpError && typeof rules.isBusinessError === 'function') {
+      try {
+        isBusinessError = !!rules.isBusinessError(res, options)
+      } catch (error) {
+        this._logger.warn('接口错误判断函数执行失败:', error)
+      }
+    }
+    if (!isHttpError && !isBusinessError) {
+      return
+    }
+    const data = res.data
+    const hasObjectData = typeof data === 'object' && data !== null
+    this._handleApiError({
+      type: 'api',
+      url,
+      method: (options.method || 'GET').toUpperCase(),
+      error: hasObjectData ? data : `HTTP ${res.statusCode}`,
+      statusCode: isBusinessError && hasObjectData && data.code !== undefined ? data.code : res.statusCode,
+      statusText: (hasObjectData && (data.msg || data.message)) || res.errMsg || `HTTP ${res.statusCode}`,
+      responseTime: Date.now() - startTime,
+      requestData: options.data,
+      requestHeaders: options.header,
+      context: {
+        httpStatusCode: res.statusCode,
+        businessError: isBusinessError,
+      },
+      timestamp: Date.now(),
+    })
+  }
+  /**
+   * 获取当前URL
+   * @private
+   */
+  _getCurrentUrl() {
+    if (typeof window !== 'undefined') {
+      return window.location?.href || ''
+    }
+    if (typeof uni !== 'undefined') {
+      try {
+        const pages = getCurrentPages()
+        if (pages && pages.length > 0) {
+          const currentPage = pages[pages.length - 1]
+          return currentPage.route || ''
+        }
+      } catch (error) {
+        // 忽略错误
+      }
+    }
+    return ''
+  }
+  /**
+   * 获取用户代理信息
+   * @private
+   */
+  _getUserAgent() {
+    if (typeof navigator !== 'undefined') {
+      return navigator.userAgent || ''
+    }
+    if (typeof uni !== 'undefined') {
+      try {
+        const systemInfo = uni.getSystemInfoSync()
+        return `${systemInfo.platform} ${systemInfo.system} ${systemInfo.model}`
+      } catch (error) {
+        return 'Unknown Device'
+      }
+    }
+    return 'Unknown Device'
+  }
+  /**
+   * 从错误信息中提取原始堆栈并解析为结构化的堆栈帧
+   * @private
+   * @param {Object} errorInfo 错误信息
+   * @returns {Array<Object>} 堆栈帧列表
+   */
+  _getStackFrames(errorInfo) {
+    const candidates = [errorInfo.stack, errorInfo.error, errorInfo.reason, ...(errorInfo.args || [])]
+    for (const candidate of candidates) {
+      const stack = typeof candidate === 'string' ? candidate : candidate?.stack
+      if (typeof stack !== 'string' || !stack) {
+        continue
+      }
+      const frames = parseStackTrace(stack, this.config || {})
+      if (frames.length > 0) {
+        return frames
+      }
+    }
+    return []
+  }
+  /**
+   * 序列化错误对象
+   * @private
+   */
+  _serializeError(error) {
+    if (error instanceof Error) {
+      return {
+        name: error.name || error.code,
+        message: error.message,
+        stack: error.stack,
+      }
+    }
+    if (typeof error === 'object' && error !== null) {
+      try {
+        return JSON.stringify(error, null, 2)
+      } catch (e) {
+        return String(error)
+      }
+    }
+    return String(error)
+  }
+  /**
+   * 添加事件处理器，所有捕获的错误在发送前依次经过事件处理器和 beforeSend
+   * @param {Function} processor 事件处理器 (errorInfo, hint) => errorInfo|null|Promise，返回 null 时丢弃该错误
+   * @returns {Function} 移除该事件处理器的函数
+   */
+  addEventProcessor(processor) {
+    if (typeof processor !== 'function') {
+      this._logger.warn('事件处理器必须是函数')
+      return () => {}
+    }
+    this._eventProcessors.push(processor)
+    return () => {
+      this._eventProcessors = this._eventProcessors.filter(item => item !== processor)
+    }
+  }
+  /**
+   * 错误处理流程：所有捕获途径共用，依次执行事件处理器和 beforeSend 后发送
+   * @private
+   * @param {Object} errorInfo 错误信息
+   * @param {Object} [hint] 附加信息
+   * @param {*} [hint.originalException] 原始错误对象
+   * @param {boolean} [hint.forceSend=false] 强制发送（忽略环境检查）
+   * @returns {Promise<void>}
+   */
+  async _captureEvent(errorInfo, hint = {}) {
+    // 上报流程不被调用方等待，任何异常都在此处理，避免产生未处理的 Promise 拒绝后被再次捕获
+    try {
+      const steps = [...this._eventProcessors]
+      if (typeof this.config?.beforeSend === 'function') {
+        steps.push(this.config.beforeSend)
+      }
+      const replaying = this._replayingEntry
+      let event = this._applyScope(errorInfo, hint.scope || replaying?.scope)
+      // 初始化前捕获的错误保留捕获时间并标记
+      if (replaying) {
+        event.buffered = true
+        event.timestamp = replaying.timestamp
+      }
+      // 先脱敏再交给处理函数，避免用户代码读取或转发敏感信息；处理函数新增的数据在发送前再次脱敏
+      event = this._redactErrorInfo(event)
+      for (const step of steps) {
+        try {
+          const result = await step(event, hint)
+          // 只有返回 null 时丢弃；未返回值（直接修改 errorInfo 后忘记返回）时沿用当前错误信息
+          if (result === null) {
+            this._logger.debug(`错误已被${step === this.config?.beforeSend ? ' beforeSend' : '事件处理器'}丢弃:`, errorInfo.type)
+            return
+          }
+          if (result !== undefined) {
+            event = result
+          }
+        } catch (error) {
+          // 处理器执行失败时跳过该处理器，避免丢失错误
+          this._logger.warn('错误处理流程执行失败，跳过该处理器:', error)
+        }
+      }
+      await this._sendErrorToWebhook(event, 0, !!hint.forceSend)
+    } catch (error) {
+      this._logger.warn('错误上报流程执行失败:', error)
+    }
+  }
+  /**
+   * 发送错误到webhook
+   * @private
+   * @param {Object} errorInfo 错误信息
+   * @param {number} [retryCount=0] 当前重试次数
+   * @param {boolean} [forceSend=false] 强制发送（忽略环境检查）
+   * @param {string|null} [queueId=null] 对应的离线队列条目ID（重试时传入）
+   * @param {boolean} [fromBatch=false] 是否由批量汇总发出（不再进入批量缓冲区）
+   */
+  async _sendErrorToWebhook(errorInfo, retryCount = 0, forceSend = false, queueId = null, fromBatch = false) {
+  		// 敏感信息脱敏：在格式化、批量汇总和写入离线队列之前进行
+  		if (retryCount === 0 && !queueId) {
+  			errorInfo = this._redactErrorInfo(errorInfo)
+  		}
+  		// 环境检查：只在生产环境下发送错误信息
+  		if (!forceSend && !this._isProduction() && !this.config?.forceEnable) {
+  			this._logger.debug('非生产环境，错误信息不上报到webhook:', errorInfo.type)
+  			return
+  		}
+
+  		// 优先使用配置中的 webhookUrl，否则使用环境变量
+  		const webhookUrl = this.config?.webhookUrl || this._getEnvWebhookUrl()
+  		if (!webhookUrl && !this._sender) {
+  			this._logger.error('未配置webhook地址，无法发送错误信息')
+  			return
+  		}
+    // 频率限制：只限制首次发送，重试和离线补发不消耗额度；开启批量汇总时在进入缓冲区前检查，汇总消息不再消耗额度
+    if (retryCount === 0 && !queueId && !fromBatch && !SUMMARY_EVENT_TYPES.includes(errorInfo.type)) {
+      const suppressedReason = this._checkRateLimit()
+      if (suppressedReason) {
+        this._recordSuppressed(suppressedReason, forceSend)
+        return
+      }
+    }
+    // 批量汇总：首次发送的错误先进入缓冲区，由汇总消息统一发送
+    if (this.config?.enableBatch && retryCount === 0 && !fromBatch && !SUMMARY_EVENT_TYPES.includes(errorInfo.type)) {
+      this._addToBatch(errorInfo, forceSend)
+      return
+    }
+    try {
+      await this._deliverError(errorInfo)
+      if (queueId) {
+        this._removeFromOfflineQueue(queueId)
+      }
+      this._logger.info('错误信息已发送到webhook')
+    } catch (error) {
+      this._logger.error('发送错误到webhook失败:', error)
+      // 首次失败即写入离线队列，避免重试期间应用被关闭导致错误丢失
+      const id = queueId || this._addToOfflineQueue(errorInfo, forceSend)
+      // 重试机制
+      if (retryCount < (this.config?.maxRetries ?? 3)) {
+        setTimeout(
+          () => {
+            this._sendErrorToWebhook(errorInfo, retryCount + 1, forceSend, id)
+          },
+          (this.config?.retryDelay || 1000) * (retryCount + 1),
+        )
+      } else if (id) {
+        // 重试次数用尽，保留在离线队列中，等待网络恢复或下次启动时补发
+        this._pendingQueueIds.delete(id)
+      }
+    }
+  }
+  /**
+   * 按内置规则和自定义规则脱敏错误信息
+   * @private
+   * @param {Object} errorInfo 错误信息
+   * @returns {Object} 脱敏后的错误信息副本，未启用脱敏时返回原对象
+   */
+  _redactErrorInfo(errorInfo) {
+    if (!this.config?.enableRedaction) {
+      return errorInfo
+    }
+    const { keys, patterns } = this.config.redactRules
+    return redactData(errorInfo, {
+      keys: [DEFAULT_REDACT_KEY_PATTERN, ...keys],
+      patterns: [...DEFAULT_REDACT_PATTERNS, ...patterns],
+    })
+  }
+  /**
+   * 验证并规范化自定义脱敏规则，无效的规则输出警告后忽略
+   * @private
+   * @param {Object} redactRules 自定义脱敏规则 { keys, patterns }
+   * @returns {Object} 规范化后的规则，patterns 统一为 { pattern, replacement } 且按全局匹配
+   */
+  _normalizeRedactRules({ keys, patterns }) {
+    if (!Array.isArray(keys) || !Array.isArray(patterns)) {
+      this._logger.warn('无效的脱敏规则：keys 和 patterns 应为数组，已忽略')
+    }
+    const normalizedPatterns = []
+    for (const rule of Array.isArray(patterns) ? patterns : []) {
+      const { pattern, replacement = REDACTED } = rule instanceof RegExp ? { pattern: rule } : Object(rule)
+      if (!(pattern instanceof RegExp)) {
+        this._logger.warn('无效的脱敏规则，已忽略:', rule)
+        continue
+      }
+      // 自定义规则统一按全局匹配替换
+      normalizedPatterns.push({ pattern: pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`), replacement })
+    }
+    return {
+      keys: Array.isArray(keys) ? keys.filter(key => key !== null && key !== undefined) : [],
+      patterns: normalizedPatterns,
+    }
+  }
+  /**
+   * 检查频率限制和会话上限，允许发送时消耗一个令牌
+   * @private
+   * @returns {string|null} 被限制时返回原因（rateLimit、sessionLimit），允许发送时返回 null
+   */
+  _checkRateLimit() {
+    const { maxReportsPerSession, enableRateLimit, rateLimitBurst, rateLimitPerMinute } = this.config || {}
+    if (maxReportsPerSession > 0 && this._sessionReportCount >= maxReportsPerSession) {
+      return 'sessionLimit'
+    }
+    if (enableRateLimit) {
+      // 按经过的时间补充令牌
+      const now = Date.now()
+      const refill = ((now - this._rateLimitRefilledAt) * rateLimitPerMinute) / 60000
+      this._rateLimitTokens = Math.min(rateLimitBurst, this._rateLimitTokens + refill)
+      this._rateLimitRefilledAt = now
+      if (this._rateLimitTokens < 1) {
+        return 'rateLimit'
+      }
+      this._rateLimitTokens--
+    }
+    this._sessionReportCount++
+    return null
+  }
+  /**
+   * 记录被抑制的错误，并安排发送抑制汇总
+   * @private
+   * @param {string} reason 抑制原因
+   * @param {boolean} forceSend 是否强制发送
+   */
+  _recordSuppressed(reason, forceSend) {
+    this.errorStats.suppressed++
+    if (!this._suppressed) {
+      this._suppressed = { count: 0, since: Date.now(), reasons: [], forceSend: false }
+    }
+    this._suppressed.count++
+    this._suppressed.forceSend = this._suppressed.forceSend || forceSend
+    if (!this._suppressed.reasons.includes(reason)) {
+      this._suppressed.reasons.push(reason)
+    }
+    this._logger.warn(`上报已抑制（${SUPPRESSED_REASON_LABELS[reason]}），本轮已抑制 ${this._suppressed.count} 条`)
+    // 会话上限的抑制汇总每次会话只发送一次
+    if (this._suppressedTimer || (reason === 'sessionLimit' && this._sessionLimitSummarySent)) {
+      return
+    }
+    // 频率限制在补充出下一个令牌时发送汇总，会话上限延迟一段时间以合并后续被抑制的错误
+    const { rateLimitPerMinute } = this.config
+    const delay =
+      reason === 'rateLimit' && rateLimitPerMinute > 0
+        ? Math.ceil(((1 - this._rateLimitTokens) * 60000) / rateLimitPerMinute)
+        : SUPPRESSED_SUMMARY_DELAY
+    this._suppressedTimer = setTimeout(() => {
+      this._suppressedTimer = null
+      this._sendSuppressedSummary()
+    }, delay)
+  }
+  /**
+   * 发送抑制汇总："N 条错误上报已被抑制"
+   * @private
+   */
+  _sendSuppressedSummary() {
+    const suppressed = this._suppressed
+    this._suppressed = null
+    if (!suppressed) {
+      return
+    }
+    if (suppressed.reasons.includes('sessionLimit')) {
+      this._sessionLimitSummarySent = true
+    }
+    this._sendErrorToWebhook(
+      {
+        type: 'suppressed',
+        timestamp: Date.now(),
+        count: suppressed.count,
+        since: suppressed.since,
+        reasons: suppressed.reasons,
+        url: this._getCurrentUrl(),
+        page: getCurrentPageName(),
+        userAgent: this._getUserAgent(),
+      },
+      0,
+      suppressed.forceSend,
+    )
+  }
+  /**
+   * 格式化并发送一条错误信息，失败时抛出异常
+   * @private
+   * @param {Object} errorInfo 错误信息
+   */
+  async _deliverError(errorInfo) {
+    // 格式化错误信息
+    const message = this._getFormattedMessage(errorInfo)
+    if (this._sender) {
+      // 使用自定义发送器，发送器内发起的请求不会被网络拦截捕获
+      await runInternal(() => this._sender(errorInfo, message))
+      return
+    }
+    const webhookUrl = this.config?.webhookUrl || this._getEnvWebhookUrl()
+    if (!webhookUrl) {
+      throw new Error('未配置webhook地址')
+    }
+    await this._postToWebhook(webhookUrl, message, errorInfo)
+  }
+  /**
+   * 补发离线队列中的错误
+   * 在初始化时和网络恢复时自动调用，也可手动调用
+   * @returns {Promise<void>}
+   */
+  async flushOfflineQueue() {
+    if (!this.config || this._flushingOfflineQueue) {
+      return
+    }
+    const queue = this._readOfflineQueue()
+    if (queue.length === 0) {
+      return
+    }
+    this._flushingOfflineQueue = true
+    try {
+      for (const entry of queue) {
+        // 仍在内存中重试的条目交由重试逻辑处理
+        if (this._pendingQueueIds.has(entry.id)) {
+          continue
+        }
+        if (!entry.forceSend && !this._isProduction() && !this.config.forceEnable) {
+          continue
+        }
+        try {
+          await this._deliverError({ ...entry.errorInfo, queuedAt: entry.queuedAt })
+          this._removeFromOfflineQueue(entry.id)
+        } catch (error) {
+          // 网络可能仍不可用，保留剩余条目等待下次补发
+          this._logger.warn('离线队列补发失败，等待下次网络恢复:', error)
+          break
+        }
+      }
+    } finally {
+      this._flushingOfflineQueue = false
+    }
+  }
+  /**
+   * 获取离线队列中待补发的错误数量
+   * @returns {number} 待补发数量
+   */
+  getOfflineQueueSize() {
+    return this._readOfflineQueue().length
+  }
+  /**
+   * 清空离线队列
+   */
+  clearOfflineQueue() {
+    this._pendingQueueIds.clear()
+    this._writeOfflineQueue([])
+  }
+  /**
+   * 将发送失败的错误写入离线队列
+   * @private
+   * @param {Object} errorInfo 错误信息
+   * @param {boolean} forceSend 是否强制发送
+   * @returns {string|null} 条目ID，未启用离线队列或存储不可用时返回 null
+   */
+  _addToOfflineQueue(errorInfo, forceSend) {
+    if (!this.config?.enableOfflineQueue || !this._isStorageAvailable()) {
+      return null
+    }
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+      queuedAt: Date.now(),
+      forceSend: !!forceSend,
+      errorInfo: this._toStorableErrorInfo(errorInfo),
+    }
+    const queue = this._readOfflineQueue()
+    queue.push(entry)
+    if (!this._writeOfflineQueue(queue)) {
+      return null
+    }
+    this._pendingQueueIds.add(entry.id)
+    return entry.id
+  }
+  /**
+   * 从离线队列中移除条目
+   * @private
+   * @param {string} id 条目ID
+   */
+  _removeFromOfflineQueue(id) {
+    this._pendingQueueIds.delete(id)
+    const queue = this._readOfflineQueue()
+    const rest = queue.filter(entry => entry.id !== id)
+    if (rest.length !== queue.length) {
+      this._writeOfflineQueue(rest)
+    }
+  }
+  /**
+   * 读取离线队列（已剔除过期条目）
+   * @private
+   * @returns {Array<Object>} 队列条目
+   */
+  _readOfflineQueue() {
+    if (!this._isStorageAvailable()) {
+      return []
+    }
+    try {
+      const queue = uni.getStorageSync(this._storageKey(OFFLINE_QUEUE_STORAGE_KEY))
+      if (!Array.isArray(queue)) {
+        return []
+      }
+      const maxAge = this.config?.offlineQueueMaxAge || DEFAULT_OFFLINE_QUEUE_MAX_AGE
+      const now = Date.now()
+      return queue.filter(entry => entry && entry.id && now - entry.queuedAt <= maxAge)
+    } catch (error) {
+      return []
+    }
+  }
+  /**
+   * 写入离线队列，超出最大条数时丢弃最早的条目
+   * @private
+   * @param {Array<Object>} queue 队列条目
+   * @returns {boolean} 是否写入成功
+   */
+  _writeOfflineQueue(queue) {
+    if (!this._isStorageAvailable()) {
+      return false
+    }
+    const maxSize = this.config?.offlineQueueMaxSize || DEFAULT_OFFLINE_QUEUE_MAX_SIZE
+    try {
+      if (queue.length === 0) {
+        uni.removeStorageSync ? uni.removeStorageSync(this._storageKey(OFFLINE_QUEUE_STORAGE_KEY)) : uni.setStorageSync(this._storageKey(OFFLINE_QUEUE_STORAGE_KEY), [])
+      } else {
+        uni.setStorageSync(this._storageKey(OFFLINE_QUEUE_STORAGE_KEY), queue.slice(-maxSize))
+      }
+      return true
+    } catch (error) {
+      this._logger.warn('写入离线队列失败:', error)
+      return false
+    }
+  }
+  /**
+   * 检查本地存储是否可用
+   * @private
+   * @returns {boolean} 是否可用
+   */
+  _isStorageAvailable() {
+    return typeof uni !== 'undefined' && typeof uni.getStorageSync === 'function' && typeof uni.setStorageSync === 'function'
+  }
+  /**
+   * 安装异常退出检测：检查上次启动遗留的运行标记，并为本次启动写入新标记
+   * 应用在前台时进程被结束（崩溃、内存不足被系统回收等）不会触发 onAppHide，标记会停留在前台状态
+   * @private
+   * @returns {Function} 卸载函数，卸载时清除运行标记（视为正常退出）
+   */
+  _installAbnormalExitDetection() {
+    const previous = this._readStorage(RUN_MARKER_STORAGE_KEY)
+    const now = Date.now()
+    this._runMarker = {
+      id: `${now}-${Math.random().toString(36).slice(2, 10)}`,
+      startedAt: now,
+      updatedAt: now,
+      foreground: true,
+      page: getCurrentPageName(),
+      url: this._getCurrentUrl(),
+      breadcrumbs: [],
+      lastFatalError: null,
+    }
+    this._writeStorage(RUN_MARKER_STORAGE_KEY, this._runMarker)
+    if (previous && previous.id && previous.foreground) {
+      this._reportAbnormalExit(previous)
+    }
+    // 页面跳转完成、前后台切换时由 hub 通知更新标记中的页面和面包屑
+    // H5 刷新或关闭页面不会触发 onAppHide，页面卸载时记为后台状态，避免下次加载误报异常退出
+    const onPageHide = () => this._saveRunMarker({ foreground: false })
+    // 从往返缓存恢复的页面重新记为前台状态
+    const onPageShow = event => event && event.persisted && this._saveRunMarker({ foreground: true })
+    const hasWindowEvents = typeof window !== 'undefined' && typeof window.addEventListener === 'function'
+    if (hasWindowEvents) {
+      window.addEventListener('pagehide', onPageHide)
+      window.addEventListener('beforeunload', onPageHide)
+      window.addEventListener('pageshow', onPageShow)
+    }
+    return () => {
+      if (hasWindowEvents && window.removeEventListener) {
+        window.removeEventListener('pagehide', onPageHide)
+        window.removeEventListener('beforeunload', onPageHide)
+        window.removeEventListener('pageshow', onPageShow)
+      }
+      this._runMarker = null
+      this._removeStorage(RUN_MARKER_STORAGE_KEY)
+    }
+  }
+  /**
+   * 更新本次启动的运行标记，同时记录当前页面和面包屑
+   * @private
+   * @param {Object} [changes] 需要更新的字段
+   */
+  _saveRunMarker(changes = {}) {
+    if (!this._runMarker) {
+      return
+    }
+    Object.assign(this._runMarker, changes, {
+      updatedAt: Date.now(),
+      page: getCurrentPageName(),
+      url: this._getCurrentUrl(),
+      breadcrumbs: this.getBreadcrumbs(),
+    })
+    this._writeStorage(RUN_MARKER_STORAGE_KEY, this._runMarker)
+  }
+  /**
+   * 在运行标记中记录致命错误，进程随后被结束、错误未能发出时可在下次启动时补报
    * @private
+   * @param {Object} errorInfo 处理器收到的错误信息
    */
-  _handleConsoleError(errorInfo) {
-  // 错误级别过滤
-  if (!this._shouldReportError('console')) {
-  return
+  _recordFatalError(errorInfo) {
+    if (!this._runMarker) {
+      return
+    }
+    const error = errorInfo.error
+    this._saveRunMarker({
+      lastFatalError: this._redactErrorInfo({
+        type: errorInfo.type,
+        message: this._getErrorSummary(errorInfo),
+        stack: (error && typeof error === 'object' && error.stack) || (typeof error === 'string' ? error : undefined),
+        timestamp: errorInfo.timestamp || Date.now(),
+        page: getCurrentPageName(),
+      }),
+    })
   }
-  // 错误去重检查
-  if (this._isDuplicateError(errorInfo)) {
-   return
+  /**
+   * 上报上次启动的异常退出
+   * @private
+   * @param {Object} previous 上次启动的运行标记
+   */
+  _reportAbnormalExit(previous) {
+    // 同时启用会话跟踪时，异常退出的会话按崩溃统计
+    if (this.config.enableSession) {
+      const previousSession = this._readStorage(SESSION_STORAGE_KEY)
+      if (previousSession && previousSession.status !== 'crashed') {
+        this._writeStorage(SESSION_STORAGE_KEY, { ...previousSession, status: 'crashed' })
+      }
+    }
+    if (!this._shouldReportError('abnormalExit')) {
+      return
+    }
+    this._captureEvent({
+      type: 'abnormalExit',
+      timestamp: Date.now(),
+      startedAt: previous.startedAt,
+      lastActiveAt: previous.updatedAt,
+      lastFatalError: previous.lastFatalError || null,
+      url: previous.url,
+      page: previous.page,
+      userAgent: this._getUserAgent(),
+      breadcrumbs: Array.isArray(previous.breadcrumbs) ? previous.breadcrumbs : [],
+    })
   }
-  this.errorStats.total++
-  this.errorStats.console++
-  this.errorStats.lastErrorTime = errorInfo.timestamp
-  this._sendErrorToWebhook({
-   ...errorInfo,
-    url: this._getCurrentUrl(),
-			userAgent: this._getUserAgent(),
-			page: getCurrentPageName(),
-		})
-	}
   /**
-   * 处理小程序错误
+   * 安装会话跟踪：开始新会话，应用前后台切换时由 hub 通知
    * @private
+   * @returns {Function} 卸载函数，卸载时结束当前会话并停止定时汇总
    */
-  _handleMiniProgramError(errorInfo) {
-  // 错误级别过滤（小程序错误和页面未找到都属于严重错误）
-  const errorType = errorInfo.type === 'pageNotFound' ? 'pageNotFound' : 'miniProgram'
-  if (!this._shouldReportError(errorType)) {
-  return
+  _installSessionTracking() {
+    this._startSession()
+    return () => {
+      this._stopSessionSummaryTimer()
+      this._endSession()
+    }
   }
-  // 错误去重检查
-  if (this._isDuplicateError(errorInfo)) {
-   return
+  /**
+   * 按配置（重新）启动会话汇总定时器
+   * @private
+   */
+  _startSessionSummaryTimer() {
+    this._stopSessionSummaryTimer()
+    if (this.config.sessionSummaryInterval > 0) {
+      this._sessionSummaryTimer = setInterval(() => this.sendSessionSummary(), this.config.sessionSummaryInterval)
+    }
   }
-  this.errorStats.total++
-  this.errorStats.miniProgram++
-  this.errorStats.lastErrorTime = errorInfo.timestamp
-  this._sendErrorToWebhook({
-   ...errorInfo,
-    url: this._getCurrentUrl(),
-			userAgent: this._getUserAgent(),
-			page: getCurrentPageName(),
-		})
-	}
   /**
-   * 处理网络错误
+   * 停止会话汇总定时器
    * @private
    */
-  _handleNetworkError(errorInfo) {
-  // 错误级别过滤
-  if (!this._shouldReportError('network')) {
-  return
+  _stopSessionSummaryTimer() {
+    if (this._sessionSummaryTimer) {
+      clearInterval(this._sessionSummaryTimer)
+      this._sessionSummaryTimer = null
+    }
   }
-  // 错误去重检查
-  if (this._isDuplicateError(errorInfo)) {
-   return
+  /**
+   * 开始新会话，上次启动遗留在存储中的会话先计入汇总
+   * @private
+   */
+  _startSession() {
+    const previous = this._readStorage(SESSION_STORAGE_KEY)
+    if (previous && previous.id && (!this._session || previous.id !== this._session.id)) {
+      this._aggregateSession(previous)
+    }
+    const now = Date.now()
+    this._session = {
+      id: `${now}-${Math.random().toString(36).slice(2, 10)}`,
+      release: this.projectInfo.version,
+      startedAt: now,
+      updatedAt: now,
+      status: 'healthy',
+      errors: 0,
+      hiddenAt: null,
+    }
+    this._writeStorage(SESSION_STORAGE_KEY, this._session)
+    // 每会话上报上限按会话计数
+    this._sessionReportCount = 0
+    this._sessionLimitSummarySent = false
   }
-  this.errorStats.total++
-  this.errorStats.network++
-  this.errorStats.lastErrorTime = errorInfo.timestamp
-  this._sendErrorToWebhook({
-   ...errorInfo,
-    url: this._getCurrentUrl(),
-			userAgent: this._getUserAgent(),
-			page: getCurrentPageName(),
-		})
-	}
   /**
-   * 获取当前URL
+   * 应用切到后台时记录时间
    * @private
    */
-  _getCurrentUrl() {
-    if (typeof window !== 'undefined') {
-      return window.location?.href || ''
+  _pauseSession() {
+    if (!this._session) {
+      return
     }
-    if (typeof uni !== 'undefined') {
-      try {
-        const pages = getCurrentPages()
-        if (pages && pages.length > 0) {
-          const currentPage = pages[pages.length - 1]
-          return currentPage.route || ''
-        }
-      } catch (error) {
-        // 忽略错误
-      }
+    this._session.hiddenAt = Date.now()
+    this._writeStorage(SESSION_STORAGE_KEY, this._session)
+  }
+  /**
+   * 应用回到前台时，后台停留超过会话超时时间则结束当前会话并开始新会话
+   * @private
+   */
+  _resumeSession() {
+    if (!this._session) {
+      this._startSession()
+      return
     }
-    return ''
+    const { hiddenAt } = this._session
+    this._session.hiddenAt = null
+    if (hiddenAt && Date.now() - hiddenAt > this.config.sessionTimeout) {
+      this._endSession()
+      this._startSession()
+      return
+    }
+    this._writeStorage(SESSION_STORAGE_KEY, this._session)
   }
   /**
-   * 获取用户代理信息
+   * 结束当前会话并计入待上报的汇总
    * @private
    */
-  _getUserAgent() {
-    if (typeof navigator !== 'undefined') {
-      return navigator.userAgent || ''
+  _endSession() {
+    if (!this._session) {
+      return
     }
-    if (typeof uni !== 'undefined') {
-      try {
-        const systemInfo = uni.getSystemInfoSync()
-        return `${systemInfo.platform} ${systemInfo.system} ${systemInfo.model}`
-      } catch (error) {
-        return 'Unknown Device'
-      }
+    this._aggregateSession(this._session)
+    this._session = null
+    this._removeStorage(SESSION_STORAGE_KEY)
+  }
+  /**
+   * 将已结束的会话按版本累加到待上报的汇总中
+   * @private
+   * @param {Object} session 会话
+   */
+  _aggregateSession(session) {
+    const summary = this._readStorage(SESSION_SUMMARY_STORAGE_KEY) || {}
+    const release = session.release || 'unknown'
+    const counts = summary[release] || { total: 0, healthy: 0, errored: 0, crashed: 0 }
+    counts.total++
+    counts[session.status] = (counts[session.status] || 0) + 1
+    summary[release] = counts
+    this._writeStorage(SESSION_SUMMARY_STORAGE_KEY, summary)
+  }
+  /**
+   * 根据捕获的错误类型更新当前会话状态
+   * 全局错误和小程序错误视为崩溃，其余非轻微错误视为出错，轻微错误不影响会话状态
+   * @private
+   * @param {string} errorType 错误类型
+   */
+  _updateSessionStatus(errorType) {
+    if (!this._session) {
+      return
     }
-    return 'Unknown Device'
+    if (CRASH_ERROR_TYPES.includes(errorType)) {
+      this._session.status = 'crashed'
+    } else if (ERROR_SEVERITY[errorType] === 'minor') {
+      return
+    } else if (this._session.status === 'healthy') {
+      this._session.status = 'errored'
+    }
+    this._session.errors++
+    this._session.updatedAt = Date.now()
+    this._writeStorage(SESSION_STORAGE_KEY, this._session)
   }
   /**
-   * 序列化错误对象
+   * 获取当前会话
+   * @returns {Object|null} 当前会话，未启用会话跟踪时返回 null
+   */
+  getSession() {
+    return this._session ? { ...this._session } : null
+  }
+  /**
+   * 获取已结束、待上报的会话汇总（按版本分组，包含当前会话）
+   * @returns {Object} 版本号到会话统计 { total, healthy, errored, crashed, crashFreeRate } 的映射
+   */
+  getSessionSummary() {
+    const summary = this._readStorage(SESSION_SUMMARY_STORAGE_KEY) || {}
+    const result = {}
+    Object.keys(summary).forEach(release => {
+      result[release] = { ...summary[release] }
+    })
+    if (this._session) {
+      const release = this._session.release || 'unknown'
+      const counts = result[release] || { total: 0, healthy: 0, errored: 0, crashed: 0 }
+      counts.total++
+      counts[this._session.status]++
+      result[release] = counts
+    }
+    Object.keys(result).forEach(release => {
+      const counts = result[release]
+      counts.crashFreeRate = counts.total > 0 ? (counts.total - counts.crashed) / counts.total : 1
+    })
+    return result
+  }
+  /**
+   * 发送会话汇总：每个版本发送一条会话统计，发送后清空已结束会话的统计
+   * 当前会话只计入统计，不会被结束
+   * @param {boolean} [forceSend=false] 是否强制发送（忽略环境检查）
+   */
+  sendSessionSummary(forceSend = false) {
+    const summary = this.getSessionSummary()
+    const releases = Object.keys(summary)
+    if (releases.length === 0) {
+      return
+    }
+    this._removeStorage(SESSION_SUMMARY_STORAGE_KEY)
+    releases.forEach(release => {
+      this._sendErrorToWebhook(
+        {
+          type: 'session',
+          timestamp: Date.now(),
+          release,
+          ...summary[release],
+          url: this._getCurrentUrl(),
+          page: getCurrentPageName(),
+          userAgent: this._getUserAgent(),
+        },
+        0,
+        forceSend,
+      )
+    })
+  }
+  /**
+   * 获取实例的本地存储键名，非默认实例在键名后附加实例名称
    * @private
+   * @param {string} key 键名
+   * @returns {string} 实例的键名
    */
-  _serializeError(error) {
-    if (error instanceof Error) {
-      return {
-        name: error.name || error.code,
-        message: error.message,
-        stack: error.stack,
-      }
+  _storageKey(key) {
+    const name = this.config?.name
+    return name && name !== DEFAULT_CLIENT_NAME ? `${key}:${name}` : key
+  }
+  /**
+   * 读取本地存储
+   * @private
+   * @param {string} key 键名
+   * @returns {*} 存储的值，读取失败时返回 null
+   */
+  _readStorage(key) {
+    if (!this._isStorageAvailable()) {
+      return null
     }
-    if (typeof error === 'object' && error !== null) {
-      try {
-        return JSON.stringify(error, null, 2)
-      } catch (e) {
-        return String(error)
-      }
+    try {
+      return uni.getStorageSync(this._storageKey(key)) || null
+    } catch (error) {
+      return null
     }
-    return String(error)
   }
   /**
-   * 发送错误到webhook
+   * 写入本地存储
    * @private
+   * @param {string} key 键名
+   * @param {*} value 值
+   * @returns {boolean} 是否写入成功
    */
-  async _sendErrorToWebhook(errorInfo, retryCount = 0, forceSend = false) {
-  		// 环境检查：只在生产环境下发送错误信息
-  		if (!forceSend && !this._isProduction() && !this.config?.forceEnable) {
-  			console.info('非生产环境，错误信息不上报到webhook:', errorInfo.type)
-  			return
-  		}
-  
-  		// 优先使用配置中的 webhookUrl，否则使用环境变量
-  		const webhookUrl = this.config?.webhookUrl || import.meta.env.VITE_WEBHOOK
-  		if (!webhookUrl) {
-  			console.error('未配置webhook地址，无法发送错误信息')
-  			return
-  		}
+  _writeStorage(key, value) {
+    if (!this._isStorageAvailable()) {
+      return false
+    }
     try {
-      // 格式化错误信息
-      const message = this._formatErrorMessage(errorInfo)
-      // 使用uni.request发送POST请求（适配uniapp环境）
-      await new Promise((resolve, reject) => {
-        uni.request({
-          url: webhookUrl,
-          method: 'POST',
-          header: {
-            'Content-Type': 'application/json',
-          },
-          data: {
-            msgtype: 'text',
-            text: {
-              content: message,
-              mentioned_list: [],
-            },
-          },
-          success: resolve,
-          fail: reject,
-        })
-      })
-      console.log('错误信息已发送到webhook')
+      uni.setStorageSync(this._storageKey(key), value)
+      return true
     } catch (error) {
-      console.error('发送错误到webhook失败:', error)
-      // 重试机制
-      if (retryCount < (this.config?.maxRetries || 3)) {
-        setTimeout(
-          () => {
-            this._sendErrorToWebhook(errorInfo, retryCount + 1)
-          },
-          (this.config?.retryDelay || 1000) * (retryCount + 1),
-        )
+      this._logger.warn('写入本地存储失败:', error)
+      return false
+    }
+  }
+  /**
+   * 删除本地存储
+   * @private
+   * @param {string} key 键名
+   */
+  _removeStorage(key) {
+    if (!this._isStorageAvailable()) {
+      return
+    }
+    try {
+      uni.removeStorageSync ? uni.removeStorageSync(this._storageKey(key)) : uni.setStorageSync(this._storageKey(key), '')
+    } catch (error) {
+      // 忽略删除失败
+    }
+  }
+  /**
+   * 立即发送批量汇总缓冲区中的错误
+   * 时间窗口结束或达到最大条数时自动调用，也可在页面隐藏等时机手动调用
+   */
+  flushBatch() {
+    if (this._batchTimer) {
+      clearTimeout(this._batchTimer)
+      this._batchTimer = null
+    }
+    if (this._batchCount === 0) {
+      return
+    }
+    const groups = Array.from(this._batchGroups.values())
+    // 总次数包含被去重跳过的重复错误
+    const total = groups.reduce((sum, group) => sum + group.count, 0)
+    const forceSend = this._batchForceSend
+    this._batchGroups = new Map()
+    this._batchCount = 0
+    this._batchForceSend = false
+    // 窗口内只有一条错误时按原格式发送
+    if (total === 1) {
+      this._sendErrorToWebhook(groups[0].sample, 0, forceSend, null, true)
+      return
+    }
+    const latest = groups.reduce((a, b) => (b.lastSeen > a.lastSeen ? b : a))
+    this._sendErrorToWebhook(
+      {
+        type: 'digest',
+        timestamp: Date.now(),
+        total,
+        events: groups.map(group => ({
+          signature: group.signature,
+          type: group.type,
+          summary: group.summary,
+          count: group.count,
+          pages: group.pages,
+          firstSeen: group.firstSeen,
+          lastSeen: group.lastSeen,
+          sample: group.sample,
+        })),
+        url: latest.sample.url,
+        page: latest.sample.page,
+        userAgent: latest.sample.userAgent,
+      },
+      0,
+      forceSend,
+    )
+  }
+  /**
+   * 将错误加入批量汇总缓冲区，复用错误签名进行分组
+   * @private
+   * @param {Object} errorInfo 错误信息
+   * @param {boolean} forceSend 是否强制发送
+   */
+  _addToBatch(errorInfo, forceSend) {
+    const signature = errorInfo.fingerprint || this._getErrorFingerprint(errorInfo)
+    const now = errorInfo.timestamp || Date.now()
+    const group = this._batchGroups.get(signature)
+    if (group) {
+      group.count++
+      group.lastSeen = now
+      if (errorInfo.page && !group.pages.includes(errorInfo.page)) {
+        group.pages.push(errorInfo.page)
+      }
+    } else {
+      this._batchGroups.set(signature, {
+        signature,
+        type: errorInfo.type,
+        summary: this._getErrorSummary(errorInfo),
+        count: 1,
+        pages: errorInfo.page ? [errorInfo.page] : [],
+        firstSeen: now,
+        lastSeen: now,
+        sample: errorInfo,
+      })
+    }
+    this._batchCount++
+    this._batchForceSend = this._batchForceSend || !!forceSend
+    if (this._batchCount >= (this.config?.batchMaxSize || DEFAULT_BATCH_MAX_SIZE)) {
+      this.flushBatch()
+    } else if (!this._batchTimer) {
+      this._batchTimer = setTimeout(() => {
+        this._batchTimer = null
+        this.flushBatch()
+      }, this.config?.batchInterval || DEFAULT_BATCH_INTERVAL)
+    }
+  }
+  /**
+   * 获取错误的单行摘要（用于汇总消息）
+   * @private
+   * @param {Object} errorInfo 错误信息
+   * @returns {string} 错误摘要
+   */
+  _getErrorSummary(errorInfo) {
+    let summary
+    switch (errorInfo.type) {
+      case 'global':
+        summary = errorInfo.message
+        break
+      case 'promise':
+        summary = typeof errorInfo.reason === 'object' && errorInfo.reason !== null ? errorInfo.reason.message : errorInfo.reason
+        break
+      case 'console':
+        summary = (errorInfo.args || []).join(' ')
+        break
+      case 'pageNotFound':
+        summary = errorInfo.path
+        break
+      case 'vue':
+      case 'vueWarn':
+        summary = `${errorInfo.message} <${errorInfo.componentName}>`
+        break
+      case 'network':
+        summary = `${errorInfo.method || 'GET'} ${errorInfo.url || ''}`
+        break
+      case 'api':
+        summary = `${errorInfo.method || 'GET'} ${errorInfo.url || ''} ${errorInfo.statusCode || ''}`
+        break
+      case 'abnormalExit':
+        summary = errorInfo.lastFatalError ? `异常退出: ${errorInfo.lastFatalError.message}` : '异常退出'
+        break
+      default:
+        summary = typeof errorInfo.error === 'object' && errorInfo.error !== null ? errorInfo.error.message || errorInfo.error.errMsg : errorInfo.error
+    }
+    summary = String(summary || 'Unknown').trim()
+    return summary.length > 200 ? `${summary.slice(0, 200)}...` : summary
+  }
+  /**
+   * 转换为可持久化的错误信息（Error对象序列化，去除Promise等不可存储的字段）
+   * @private
+   * @param {Object} errorInfo 错误信息
+   * @returns {Object} 可存储的错误信息
+   */
+  _toStorableErrorInfo(errorInfo) {
+    const { promise, ...rest } = errorInfo
+    try {
+      return JSON.parse(JSON.stringify(rest, (key, value) => (value instanceof Error ? this._serializeError(value) : value)))
+    } catch (error) {
+      return {
+        type: rest.type,
+        error: String(rest.error || rest.message || ''),
+        timestamp: rest.timestamp,
+        page: rest.page,
+        url: rest.url,
+      }
+    }
+  }
+  /**
+   * 按配置的传输协议将消息POST到webhook
+   * @private
+   * @param {string} webhookUrl webhook地址
+   * @param {string} message 格式化后的消息
+   * @param {Object} errorInfo 错误信息
+   * @returns {Promise<Object>} 请求响应
+   */
+  async _postToWebhook(webhookUrl, message, errorInfo) {
+    const transport = resolveTransport(this.config?.transport) || resolveTransport()
+    const request = await transport.buildRequest({
+      url: webhookUrl,
+      message,
+      errorInfo,
+      options: this.config?.transportOptions || {},
+      projectInfo: this.projectInfo,
+    })
+    // 使用uni.request发送POST请求（适配uniapp环境）
+    const response = await new Promise((resolve, reject) => {
+      runInternal(() => uni.request({
+        url: request.url || webhookUrl,
+        method: 'POST',
+        header: {
+          'Content-Type': 'application/json',
+          ...request.header,
+        },
+        data: request.data,
+        success: resolve,
+        fail: reject,
+      }))
+    })
+    // 校验HTTP状态码和平台返回的业务错误码，失败时抛出以触发重试
+    if (response && response.statusCode && (response.statusCode < 200 || response.statusCode >= 300)) {
+      throw new Error(`webhook响应异常，HTTP状态码: ${response.statusCode} ${this._serializeError(response.data)}`)
+    }
+    const platformError = transport.parseResponse ? transport.parseResponse(response || {}) : null
+    if (platformError) {
+      throw new Error(`webhook返回错误: ${platformError}`)
+    }
+    return response
+  }
+  /**
+   * 获取格式化后的错误消息，优先使用自定义格式化函数
+   * @private
+   * @param {Object} errorInfo 错误信息
+   * @returns {string} 格式化后的消息
+   */
+  _getFormattedMessage(errorInfo) {
+    if (this._formatter) {
+      try {
+        return String(this._formatter(errorInfo))
+      } catch (error) {
+        // 自定义格式化失败时回退到内置格式，避免丢失错误报告
+        this._logger.warn('自定义格式化函数执行失败，使用默认格式:', error)
       }
     }
+    return this._formatErrorMessage(errorInfo)
   }
   /**
    * 加载项目信息
    * @private
    */
   _loadProjectInfo() {
+    // 非 uni-app 环境（如 Node.js 中使用 Source Map 还原工具）直接使用默认信息
+    if (typeof uni === 'undefined') {
+      return
+    }
     try {
       if (uni.getSystemInfoSync()) {
         const AppInfo = uni.getSystemInfoSync()
@@ -805,7 +3455,7 @@ class ErrorMonitor {
       }
     } catch (error) {
       // 如果加载失败，使用默认信息
-      console.warn('无法加载项目信息，使用默认值')
+      this._logger.warn('无法加载项目信息，使用默认值')
     }
   }
   /**
@@ -813,13 +3463,40 @@ class ErrorMonitor {
    * @private
    */
   _formatErrorMessage(errorInfo) {
+    if (errorInfo.type === 'digest') {
+      return this._formatDigestMessage(errorInfo)
+    }
+    if (errorInfo.type === 'suppressed') {
+      return this._formatSuppressedMessage(errorInfo)
+    }
+    if (errorInfo.type === 'session') {
+      return this._formatSessionMessage(errorInfo)
+    }
     const timestamp = new Date(errorInfo.timestamp).toLocaleString('zh-CN')
     let message = `🚨 JavaScript错误报告\n`
     message += `📦 项目: ${this.projectInfo.name}\n`
     message += `🏷️ 版本: ${this.projectInfo.version}\n`
     message += `⏰ 时间: ${timestamp}\n`
     message += `📱 页面: ${errorInfo.page || '未知页面'}\n`
-    message += `🌐 链接: ${errorInfo.url || '未知链接'}\n\n`
+    message += `🌐 链接: ${errorInfo.url || '未知链接'}\n`
+    if (errorInfo.user) {
+      const { id, username, email } = errorInfo.user
+      const userText = [id, username, email].filter(item => item !== undefined && item !== null && item !== '').join(' / ')
+      message += `👤 用户: ${userText || JSON.stringify(errorInfo.user)}\n`
+    }
+    if (errorInfo.tags && Object.keys(errorInfo.tags).length > 0) {
+      message += `🔖 标签: ${Object.keys(errorInfo.tags).map(key => `${key}=${errorInfo.tags[key]}`).join(', ')}\n`
+    }
+    if (errorInfo.queuedAt) {
+      message += `📮 离线补报: 首次发送失败于 ${new Date(errorInfo.queuedAt).toLocaleString('zh-CN')}\n`
+    }
+    if (errorInfo.buffered) {
+      message += `⏳ 初始化前捕获，初始化后补报\n`
+    }
+    if (errorInfo.sampleRate < 1) {
+      message += `🎲 采样率: ${Math.round(errorInfo.sampleRate * 100)}%\n`
+    }
+    message += `\n`
     switch (errorInfo.type) {
       case 'global':
         message += `🔍 错误类型: 全局错误\n`
@@ -837,7 +3514,20 @@ class ErrorMonitor {
         break
       case 'console':
         message += `🔍 错误类型: Console错误\n`
-        message += `📝 错误信息: ${errorInfo.args.join(' ')}\n`
+        // 手动上报的 console 错误没有 args，使用错误对象
+        message += `📝 错误信息: ${errorInfo.args ? errorInfo.args.join(' ') : this._serializeError(errorInfo.error)}\n`
+        break
+      case 'abnormalExit':
+        message += `🔍 错误类型: 异常退出\n`
+        message += `📝 错误信息: 上次运行在前台时被结束，可能发生了崩溃或被系统回收\n`
+        message += `🕐 启动时间: ${new Date(errorInfo.startedAt).toLocaleString('zh-CN')}\n`
+        message += `🕑 最后活跃: ${new Date(errorInfo.lastActiveAt).toLocaleString('zh-CN')}\n`
+        if (errorInfo.lastFatalError) {
+          message += `💥 最后的致命错误: [${ERROR_TYPE_LABELS[errorInfo.lastFatalError.type] || errorInfo.lastFatalError.type}] ${errorInfo.lastFatalError.message}\n`
+          if (errorInfo.lastFatalError.stack) {
+            message += `📜 错误堆栈: ${errorInfo.lastFatalError.stack}\n`
+          }
+        }
         break
       case 'miniProgram':
         message += `🔍 错误类型: 小程序错误\n`
@@ -849,10 +3539,31 @@ class ErrorMonitor {
           message += `🔗 查询参数: ${errorInfo.query}\n`
         }
         break
+      case 'vue':
+      case 'vueWarn':
+        message += `🔍 错误类型: ${ERROR_TYPE_LABELS[errorInfo.type]}\n`
+        message += `📝 错误信息: ${errorInfo.message}\n`
+        message += `🧱 组件: ${errorInfo.componentName}\n`
+        if (errorInfo.lifecycle) {
+          message += `🔄 生命周期: ${errorInfo.lifecycle}\n`
+        }
+        if (errorInfo.componentTrace && errorInfo.componentTrace.length > 0) {
+          message += `🌲 组件链: ${errorInfo.componentTrace.join(' → ')}\n`
+        }
+        if (errorInfo.stack) {
+          message += `📜 错误堆栈: ${errorInfo.stack}\n`
+        }
+        break
       case 'network':
         message += `🔍 错误类型: 网络错误\n`
+        if (errorInfo.api && errorInfo.api !== 'request') {
+          message += `🧩 调用接口: uni.${errorInfo.api}\n`
+        }
         message += `📝 请求地址: ${errorInfo.url || 'Unknown'}\n`
         message += `📝 请求方法: ${errorInfo.method || 'Unknown'}\n`
+        if (errorInfo.statusCode) {
+          message += `📊 状态码: ${errorInfo.statusCode}\n`
+        }
         // 网络错误详细信息
         if (errorInfo.error) {
           if (typeof errorInfo.error === 'object') {
@@ -918,6 +3629,30 @@ class ErrorMonitor {
         message += `🔍 错误类型: ${errorInfo.type}\n`
         message += `📝 错误信息: ${this._serializeError(errorInfo.error)}\n`
     }
+    // 附加上下文
+    if (errorInfo.contexts && Object.keys(errorInfo.contexts).length > 0) {
+      message += `\n📎 附加上下文:\n`
+      Object.keys(errorInfo.contexts).forEach(name => {
+        message += `${name}: ${JSON.stringify(errorInfo.contexts[name])}\n`
+      })
+    }
+    // 关键堆栈：优先展示业务代码的堆栈帧
+    if (errorInfo.frames && errorInfo.frames.length > 0) {
+      const inAppFrames = errorInfo.frames.filter(frame => frame.inApp)
+      const topFrames = (inAppFrames.length > 0 ? inAppFrames : errorInfo.frames).slice(0, FORMATTED_STACK_FRAMES_COUNT)
+      message += `\n📍 关键堆栈:\n`
+      topFrames.forEach(frame => {
+        message += `  at ${frame.function || '<anonymous>'} (${frame.file}:${frame.line}:${frame.column || 0})\n`
+      })
+    }
+    // 操作轨迹
+    if (errorInfo.breadcrumbs && errorInfo.breadcrumbs.length > 0) {
+      message += `\n👣 操作轨迹（最近${Math.min(errorInfo.breadcrumbs.length, FORMATTED_BREADCRUMBS_COUNT)}条）:\n`
+      errorInfo.breadcrumbs.slice(-FORMATTED_BREADCRUMBS_COUNT).forEach(breadcrumb => {
+        const time = new Date(breadcrumb.timestamp).toTimeString().slice(0, 8)
+        message += `${time} [${breadcrumb.type}] ${breadcrumb.message}\n`
+      })
+    }
     message += `\n📊 统计信息:\n`
     message += `总计错误: ${this.errorStats.total}\n`
     message += `全局错误: ${this.errorStats.global}\n`
@@ -926,12 +3661,110 @@ class ErrorMonitor {
     message += `小程序错误: ${this.errorStats.miniProgram}\n`
     message += `接口错误: ${this.errorStats.api}\n`
     message += `网络错误: ${this.errorStats.network}\n`
+    message += `Vue组件错误: ${this.errorStats.vue}\n`
     // 添加设备信息
     if (errorInfo.userAgent) {
       message += `\n📱 设备信息:\n${errorInfo.userAgent}\n`
     }
     return message
   }
+  /**
+   * 格式化批量汇总消息
+   * @private
+   */
+  _formatDigestMessage(digestInfo) {
+    const timestamp = new Date(digestInfo.timestamp).toLocaleString('zh-CN')
+    let message = `🚨 JavaScript错误汇总\n`
+    message += `📦 项目: ${this.projectInfo.name}\n`
+    message += `🏷️ 版本: ${this.projectInfo.version}\n`
+    message += `⏰ 时间: ${timestamp}\n`
+    if (digestInfo.queuedAt) {
+      message += `📮 离线补报: 首次发送失败于 ${new Date(digestInfo.queuedAt).toLocaleString('zh-CN')}\n`
+    }
+    message += `📊 本批共 ${digestInfo.total} 次错误，${digestInfo.events.length} 类\n\n`
+    // 按出现次数从高到低排列
+    const events = digestInfo.events.slice().sort((a, b) => b.count - a.count)
+    events.forEach((event, index) => {
+      message += `${index + 1}. [${ERROR_TYPE_LABELS[event.type] || event.type}] ${event.summary} ×${event.count}\n`
+      if (event.pages.length > 0) {
+        message += `   📱 页面: ${event.pages.join(', ')}\n`
+      }
+    })
+    if (digestInfo.userAgent) {
+      message += `\n📱 设备信息:\n${digestInfo.userAgent}\n`
+    }
+    return message
+  }
+  /**
+   * 格式化抑制汇总消息
+   * @private
+   */
+  _formatSuppressedMessage(suppressedInfo) {
+    const timestamp = new Date(suppressedInfo.timestamp).toLocaleString('zh-CN')
+    let message = `⚠️ 错误上报已抑制\n`
+    message += `📦 项目: ${this.projectInfo.name}\n`
+    message += `🏷️ 版本: ${this.projectInfo.version}\n`
+    message += `⏰ 时间: ${timestamp}\n`
+    message += `📱 页面: ${suppressedInfo.page || '未知页面'}\n`
+    message += `🚫 自 ${new Date(suppressedInfo.since).toLocaleString('zh-CN')} 起已抑制 ${suppressedInfo.count} 条错误上报\n`
+    message += `📝 原因: ${suppressedInfo.reasons.map(reason => SUPPRESSED_REASON_LABELS[reason] || reason).join('、')}\n`
+    if (suppressedInfo.userAgent) {
+      message += `\n📱 设备信息:\n${suppressedInfo.userAgent}\n`
+    }
+    return message
+  }
+  /**
+   * 格式化会话统计消息
+   * @private
+   */
+  _formatSessionMessage(sessionInfo) {
+    const timestamp = new Date(sessionInfo.timestamp).toLocaleString('zh-CN')
+    let message = `📈 会话统计\n`
+    message += `📦 项目: ${this.projectInfo.name}\n`
+    message += `🏷️ 版本: ${sessionInfo.release}\n`
+    message += `⏰ 时间: ${timestamp}\n`
+    message += `📊 会话总数: ${sessionInfo.total}\n`
+    message += `✅ 健康: ${sessionInfo.healthy}\n`
+    message += `⚠️ 出错: ${sessionInfo.errored}\n`
+    message += `💥 崩溃: ${sessionInfo.crashed}\n`
+    message += `🛡️ 无崩溃率: ${(sessionInfo.crashFreeRate * 100).toFixed(2)}%\n`
+    return message
+  }
+}
+/**
+ * 从构建工具注入的环境变量中读取值
+ * @private
+ * @param {string} type 变量类型：mode 或 webhook
+ * @param {string} [key] 自定义变量名，不传时使用各来源的默认变量名
+ * @returns {string|undefined} 变量值
+ */
+function readBuildEnv(type, key) {
+  for (const adapter of BUILD_ENV_ADAPTERS) {
+    let env
+    try {
+      env = adapter.read()
+    } catch (error) {
+      // 当前构建工具未注入该来源（如小程序中不存在 process）
+      continue
+    }
+    const value = env?.[key || adapter[`${type}Key`]]
+    if (value) {
+      return value
+    }
+  }
+  return undefined
+}
+/**
+ * 获取小程序当前版本：develop（开发版）、trial（体验版）、release（正式版）
+ * @private
+ * @returns {string|undefined} 小程序版本，非小程序平台返回 undefined
+ */
+function getMiniProgramEnvVersion() {
+  try {
+    return uni.getAccountInfoSync?.()?.miniProgram?.envVersion
+  } catch (error) {
+    return undefined
+  }
 }
 /**
  * 获取当前页面名称
@@ -969,12 +3802,502 @@ function getCurrentPageName() {
   }
   return '未知页面'
 }
+/**
+ * 补全面包屑的默认字段
+ * @private
+ * @param {Object} breadcrumb 面包屑
+ * @returns {Object} 面包屑
+ */
+function createBreadcrumb(breadcrumb) {
+  return {
+    type: 'manual',
+    level: 'info',
+    ...breadcrumb,
+    message: String(breadcrumb.message ?? ''),
+    timestamp: breadcrumb.timestamp || Date.now(),
+  }
+}
+/**
+ * 标准化错误消息中的易变内容（查询参数、UUID、十六进制串、数字），使同类错误生成相同的签名
+ * @private
+ * @param {string} message 错误消息
+ * @returns {string} 标准化后的消息
+ */
+function normalizeErrorMessage(message) {
+  return String(message)
+    .replace(/\?[\w%.[\]-]+=[^\s'"#)]*/g, '?<query>')
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+    .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+    .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hex>')
+    .replace(/\d+(?:\.\d+)?/g, '<num>')
+}
+/**
+ * 按脱敏规则处理字符串
+ * @private
+ * @param {string} str 字符串
+ * @param {Array<{pattern: RegExp, replacement: string}>} patterns 内容规则
+ * @returns {string} 脱敏后的字符串
+ */
+function redactString(str, patterns) {
+  return patterns.reduce((result, { pattern, replacement }) => {
+    pattern.lastIndex = 0
+    return result.replace(pattern, replacement)
+  }, str)
+}
+/**
+ * 判断字段名是否为敏感字段
+ * @private
+ * @param {string} key 字段名
+ * @param {Array<string|RegExp>} keys 字段名规则，字符串按忽略大小写的全等匹配
+ * @returns {boolean}
+ */
+function isSensitiveKey(key, keys) {
+  return keys.some(rule => (rule instanceof RegExp ? ((rule.lastIndex = 0), rule.test(key)) : String(rule).toLowerCase() === key.toLowerCase()))
+}
+/**
+ * 递归脱敏数据，返回脱敏后的副本，不修改原数据
+ * @private
+ * @param {*} value 数据
+ * @param {Object} rules 脱敏规则 { keys, patterns }
+ * @param {number} [depth=0] 当前深度
+ * @param {WeakSet} [seen] 已访问的对象，用于处理循环引用
+ * @returns {*} 脱敏后的数据
+ */
+function redactData(value, rules, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value, rules.patterns)
+  }
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+  if (seen.has(value)) {
+    return '[Circular]'
+  }
+  if (depth >= MAX_REDACT_DEPTH) {
+    return '[Object]'
+  }
+  const isError = value instanceof Error
+  const proto = Object.getPrototypeOf(value)
+  // 只处理普通对象、数组和错误对象，其它对象（Promise、ArrayBuffer 等）保持原样
+  if (!isError && !Array.isArray(value) && proto !== Object.prototype && proto !== null) {
+    return value
+  }
+  seen.add(value)
+  let result
+  if (Array.isArray(value)) {
+    result = value.map(item => redactData(item, rules, depth + 1, seen))
+  } else {
+    result = Object.create(proto)
+    if (isError) {
+      // message、stack 为不可枚举属性，需要单独处理
+      result.name = value.name
+      result.message = redactString(String(value.message || ''), rules.patterns)
+      result.stack = typeof value.stack === 'string' ? redactString(value.stack, rules.patterns) : value.stack
+    }
+    Object.keys(value).forEach(key => {
+      const item = value[key]
+      result[key] = isSensitiveKey(key, rules.keys) && item !== undefined && item !== null && item !== '' ? REDACTED : redactData(item, rules, depth + 1, seen)
+    })
+  }
+  seen.delete(value)
+  return result
+}
+/**
+ * V8 堆栈帧（Android、Chrome内核H5、微信小程序安卓端/开发者工具）
+ * 如：at Object.onLoad (https://servicewechat.com/wx123/0/appservice/pages/index/index.js:12:3)
+ * @private
+ */
+const V8_FRAME_REGEXP = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/
+/**
+ * V8 无位置信息的堆栈帧，如：at Array.forEach (<anonymous>)、at JSON.parse (native)
+ * @private
+ */
+const V8_NATIVE_FRAME_REGEXP = /^\s*at (?:(.+?) \()?(native|<anonymous>)\)?\s*$/
+/**
+ * JavaScriptCore / SpiderMonkey 堆栈帧（iOS、Safari、Firefox、微信小程序iOS端）
+ * 如：onLoad@https://lib/appservice/pages/index/index.js:12:3、global code@app-service.js:1:1
+ * @private
+ */
+const JSC_FRAME_REGEXP = /^\s*(?:(.*?)@)?(.*?):(\d+)(?::(\d+))?\s*$/
+/**
+ * 解析堆栈字符串为结构化的堆栈帧
+ * 支持 V8（Android / H5）、JavaScriptCore（iOS）、SpiderMonkey（Firefox）和微信小程序 appservice 堆栈格式
+ * @param {string} stack 原始堆栈字符串
+ * @param {Object} [options] 解析选项
+ * @param {Array<string|RegExp>} [options.inAppInclude] 匹配时视为业务代码
+ * @param {Array<string|RegExp>} [options.inAppExclude] 匹配时视为非业务代码
+ * @returns {Array<{function: string, file: string, line: number, column: number, inApp: boolean}>} 堆栈帧列表（调用栈顶部在前）
+ */
+export function parseStackTrace(stack, options = {}) {
+  if (typeof stack !== 'string' || !stack) {
+    return []
+  }
+  const frames = []
+  const lines = stack.split('\n')
+  for (const line of lines) {
+    if (frames.length >= MAX_STACK_FRAMES) {
+      break
+    }
+    const frame = parseStackLine(line)
+    if (frame) {
+      frame.inApp = isInAppFrame(frame.file, options)
+      frames.push(frame)
+    }
+  }
+  return frames
+}
+/**
+ * 解析单行堆栈
+ * @private
+ * @param {string} line 堆栈行
+ * @returns {Object|null} 堆栈帧，无法识别时返回 null
+ */
+function parseStackLine(line) {
+  if (/^\s*at /.test(line)) {
+    let match = line.match(V8_FRAME_REGEXP)
+    if (match) {
+      let [, fn, file, lineNo, column] = match
+      // 匿名异步帧：at async https://x.com/a.js:1:2，async 前缀不属于文件路径
+      file = file.replace(/^async /, '')
+      // eval 帧：at eval (eval at fn (file.js:1:2), <anonymous>:1:1)，取外层的真实位置
+      const evalMatch = file.match(/\(([^()]+?):(\d+):(\d+)\)/)
+      if (file.includes('eval at') && evalMatch) {
+        ;[, file, lineNo, column] = evalMatch
+      }
+      return createStackFrame(fn, file, lineNo, column)
+    }
+    match = line.match(V8_NATIVE_FRAME_REGEXP)
+    if (match) {
+      return createStackFrame(match[1], match[2], 0, 0)
+    }
+    return null
+  }
+  if (/\[native code\]\s*$/.test(line)) {
+    const fn = line.trim().split('@')[0]
+    return createStackFrame(fn === '[native code]' ? '' : fn, '[native code]', 0, 0)
+  }
+  const match = line.match(JSC_FRAME_REGEXP)
+  // 要求文件部分像路径或URL，排除 "TypeError: xxx" 这类消息行
+  if (match && match[2] && /[/.]/.test(match[2]) && !/\s/.test(match[2])) {
+    return createStackFrame(match[1], match[2], match[3], match[4])
+  }
+  return null
+}
+/**
+ * 创建堆栈帧
+ * @private
+ */
+function createStackFrame(fn, file, line, column) {
+  let functionName = (fn || '').trim().replace(/^(?:new |async )/, '')
+  if (functionName === '<anonymous>') {
+    functionName = ''
+  }
+  return {
+    function: functionName,
+    file: file.trim(),
+    line: Number(line) || 0,
+    column: Number(column) || 0,
+    inApp: true,
+  }
+}
+/**
+ * 判断堆栈帧是否属于业务代码
+ * @private
+ * @param {string} file 文件路径
+ * @param {Object} options 解析选项
+ * @returns {boolean} 是否为业务代码
+ */
+function isInAppFrame(file, options) {
+  if ((options.inAppInclude || []).some(pattern => matchUrlPattern(file, pattern))) {
+    return true
+  }
+  if ((options.inAppExclude || []).some(pattern => matchUrlPattern(file, pattern))) {
+    return false
+  }
+  return !NON_APP_FRAME_PATTERNS.some(pattern => pattern.test(file))
+}
+/**
+ * 判断uni API调用是否使用回调方式（未传入任何回调时uni-app返回Promise）
+ * @private
+ * @param {Object} options 调用参数
+ * @returns {boolean} 是否传入了回调
+ */
+function hasCallback(options) {
+  return !!options && ['success', 'fail', 'complete'].some(key => typeof options[key] === 'function')
+}
+/**
+ * 已替换的方法：包装函数 -> { original, active }，用于还原时跳过已停用的包装函数
+ * @private
+ */
+const patchedMethods = new WeakMap()
+/**
+ * 替换对象上的方法，返回还原函数
+ * 还原时如果该方法已被其他代码再次替换，则无法直接还原，此时包装函数改为直接调用原方法，不再执行监控逻辑
+ * 同一方法被多次替换时，还原顺序不限：外层还原时会一并跳过内层已停用的包装函数
+ * @private
+ * @param {Object} target 目标对象
+ * @param {string} key 方法名
+ * @param {Function} createWrapper 接收原方法、返回包装函数
+ * @returns {Function} 还原函数
+ */
+function patchMethod(target, key, createWrapper) {
+  const original = target[key]
+  const wrapper = createWrapper(original)
+  const state = { original, active: true }
+  const patched = function (...args) {
+    if (state.active) {
+      return wrapper.apply(this, args)
+    }
+    return typeof original === 'function' ? original.apply(this, args) : undefined
+  }
+  patchedMethods.set(patched, state)
+  target[key] = patched
+  return () => {
+    state.active = false
+    // 从最外层开始，依次移除已停用的包装函数
+    let current = target[key]
+    while (patchedMethods.has(current) && !patchedMethods.get(current).active) {
+      current = patchedMethods.get(current).original
+      target[key] = current
+    }
+  }
+}
+/**
+ * 为所有路由跳转API添加拦截器，返回移除函数
+ * @private
+ * @param {Function} createInterceptor 接收API名称、返回拦截器
+ * @returns {Function} 移除拦截器的函数
+ */
+function addNavigationInterceptor(createInterceptor) {
+  if (typeof uni === 'undefined' || !uni.addInterceptor) {
+    return () => {}
+  }
+  const interceptors = NAVIGATION_METHODS.map(method => {
+    const interceptor = createInterceptor(method)
+    uni.addInterceptor(method, interceptor)
+    return { method, interceptor }
+  })
+  return () => {
+    if (uni.removeInterceptor) {
+      interceptors.forEach(({ method, interceptor }) => uni.removeInterceptor(method, interceptor))
+    }
+  }
+}
+/**
+ * 监听应用前后台切换，返回取消监听的函数
+ * @private
+ * @param {Object} listeners 监听函数
+ * @param {Function} listeners.show 回到前台
+ * @param {Function} listeners.hide 切到后台
+ * @returns {Function} 取消监听的函数
+ */
+function onAppLifecycle({ show, hide }) {
+  uni.onAppShow && uni.onAppShow(show)
+  uni.onAppHide && uni.onAppHide(hide)
+  return () => {
+    uni.offAppShow && uni.offAppShow(show)
+    uni.offAppHide && uni.offAppHide(hide)
+  }
+}
+/**
+ * 观察uni API返回的Promise，不改变其结果
+ * 兼容 Vue 2 版本 uni-app 的 [err, res] 返回格式
+ * @private
+ * @param {*} result API返回值
+ * @param {Function} onSuccess 成功回调
+ * @param {Function} onFail 失败回调
+ */
+function observePromise(result, onSuccess, onFail) {
+  if (!result || typeof result.then !== 'function') {
+    return
+  }
+  result.then(
+    res => {
+      if (Array.isArray(res) && res.length === 2 && (res[0] || res[1])) {
+        res[0] ? onFail(res[0]) : onSuccess(res[1])
+      } else {
+        onSuccess(res)
+      }
+    },
+    err => onFail(err),
+  )
+}
+/**
+ * 获取网络API调用的请求方法描述
+ * @private
+ * @param {string} apiName uni网络API名称
+ * @param {Object} options 调用参数
+ * @returns {string} 请求方法
+ */
+function getNetworkMethod(apiName, options) {
+  switch (apiName) {
+    case 'uploadFile':
+      return 'UPLOAD'
+    case 'downloadFile':
+      return 'DOWNLOAD'
+    case 'connectSocket':
+      return 'SOCKET'
+    default:
+      return (options.method || 'GET').toUpperCase()
+  }
+}
+/**
+ * 判断URL是否匹配规则
+ * @private
+ * @param {string} url 请求地址
+ * @param {string|RegExp} pattern 匹配规则，字符串时按包含匹配
+ * @returns {boolean} 是否匹配
+ */
+function matchUrlPattern(url, pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(url)
+  }
+  return typeof pattern === 'string' && pattern !== '' && url.includes(pattern)
+}
+/**
+ * 获取Vue组件名称
+ * @private
+ * @param {Object} instance 组件实例
+ * @returns {string} 组件名称
+ */
+function getVueComponentName(instance) {
+  if (!instance) {
+    return 'Anonymous'
+  }
+  if (instance.$root === instance && !instance.$parent) {
+    return 'Root'
+  }
+  const options = instance.$options || {}
+  // Vue 2 未声明 name 时使用注册时的标签名
+  const name = options.name || options.__name || options._componentTag
+  if (name) {
+    return name
+  }
+  // 从单文件组件路径推断名称
+  const file = options.__file
+  if (file) {
+    const match = file.match(/([^/\\]+)\.vue$/)
+    if (match) {
+      return match[1]
+    }
+  }
+  return 'Anonymous'
+}
+/**
+ * 获取从当前组件到根组件的组件链
+ * @private
+ * @param {Object} instance 组件实例
+ * @returns {string[]} 组件名称列表（当前组件在前）
+ */
+function getVueComponentTrace(instance) {
+  const trace = []
+  let current = instance
+  // 限制深度，避免异常的循环引用
+  while (current && trace.length < 20) {
+    trace.push(`<${getVueComponentName(current)}>`)
+    current = current.$parent
+  }
+  return trace
+}
+/**
+ * 已安装的 Vue 插件数量，用于区分实例上的钩子名称
+ * @private
+ */
+let vueInstallCount = 0
+/**
+ * 接管 Vue 的 errorHandler 和 warnHandler，Vue 2 的 Vue.config 与 Vue 3 的 app.config 参数一致
+ * @private
+ * @param {Object} config Vue.config 或 app.config
+ * @param {Object} [options] 插件选项
+ */
+function installVueHandlers(config, options = {}) {
+  const monitor = options.monitor || errorMonitorInstance
+  const captureWarnings = options.captureWarnings !== false
+  const restores = []
+  restores.push(patchMethod(config, 'errorHandler', original => (err, instance, info) => {
+    monitor._handleVueError({
+      type: 'vue',
+      message: err instanceof Error ? err.message : String(err),
+      error: monitor._serializeError(err),
+      stack: err instanceof Error ? err.stack : null,
+      componentName: getVueComponentName(instance),
+      lifecycle: info,
+      componentTrace: getVueComponentTrace(instance),
+      timestamp: Date.now(),
+    }, { originalException: err, instance })
+    if (typeof original === 'function') {
+      original.call(config, err, instance, info)
+    } else {
+      // 保持Vue未设置 errorHandler 时的默认行为（该错误已上报，不再被 console 捕获）
+      runInternal(() => console.error(err))
+    }
+  }))
+  if (captureWarnings) {
+    restores.push(patchMethod(config, 'warnHandler', original => (msg, instance, trace) => {
+      monitor._handleVueError({
+        type: 'vueWarn',
+        message: msg,
+        componentName: getVueComponentName(instance),
+        componentTrace: trace ? trace.split('\n').map(line => line.trim()).filter(Boolean) : getVueComponentTrace(instance),
+        timestamp: Date.now(),
+      }, { originalException: msg, instance })
+      if (typeof original === 'function') {
+        original.call(config, msg, instance, trace)
+      } else {
+        runInternal(() => console.warn(`[Vue warn]: ${msg}${trace || ''}`))
+      }
+    }))
+  }
+  // 销毁监控实例时还原之前的处理函数
+  monitor._installHook(`vue:${++vueInstallCount}`, () => () => restores.reverse().forEach(restore => restore()))
+}
+/**
+ * Vue 3 错误监控插件
+ * 接管 app.config.errorHandler 和 warnHandler，将组件渲染、侦听器、生命周期中的错误上报，
+ * 并继续调用之前已注册的处理函数
+ * @example
+ * app.use(VueErrorPlugin)
+ * app.use(VueErrorPlugin, { monitor: customMonitor, captureWarnings: false })
+ */
+export const VueErrorPlugin = {
+  /**
+   * @param {Object} app Vue应用实例
+   * @param {Object} [options] 插件选项
+   * @param {ErrorMonitor} [options.monitor] 使用的错误监控实例，默认为默认实例
+   * @param {boolean} [options.captureWarnings=true] 是否捕获Vue警告（仅开发构建会触发）
+   */
+  install(app, options = {}) {
+    installVueHandlers(app.config, options)
+  },
+}
+/**
+ * Vue 2 错误监控插件（HBuilderX Vue 2 项目）
+ * 接管 Vue.config.errorHandler 和 warnHandler，上报组件名称、生命周期信息和 $parent 组件链，
+ * 并继续调用之前已注册的处理函数
+ * @example
+ * Vue.use(Vue2ErrorPlugin)
+ * Vue.use(Vue2ErrorPlugin, { monitor: customMonitor, captureWarnings: false })
+ */
+export const Vue2ErrorPlugin = {
+  /**
+   * @param {Function} Vue Vue构造函数
+   * @param {Object} [options] 插件选项
+   * @param {ErrorMonitor} [options.monitor] 使用的错误监控实例，默认为默认实例
+   * @param {boolean} [options.captureWarnings=true] 是否捕获Vue警告（仅开发构建会触发）
+   */
+  install(Vue, options = {}) {
+    installVueHandlers(Vue.config, options)
+  },
+}
 // 创建默认实例
 const errorMonitorInstance = new ErrorMonitor()
 // 命名导出 - 便捷方法
 export const initErrorMonitor = options => {
   return errorMonitorInstance.initErrorMonitor(options)
 }
+export const destroyErrorMonitor = () => {
+  return errorMonitorInstance.destroy()
+}
 export const reportError = (type, error, context, forceSend) => {
   return errorMonitorInstance.reportError(type, error, context, forceSend)
 }
@@ -999,5 +4322,67 @@ return errorMonitorInstance.setErrorLevel(level)
 export const clearErrorCache = () => {
 	return errorMonitorInstance.clearErrorCache()
 }
+export const flushOfflineQueue = () => {
+  return errorMonitorInstance.flushOfflineQueue()
+}
+export const getOfflineQueueSize = () => {
+  return errorMonitorInstance.getOfflineQueueSize()
+}
+export const clearOfflineQueue = () => {
+  return errorMonitorInstance.clearOfflineQueue()
+}
+export const flushBatch = () => {
+  return errorMonitorInstance.flushBatch()
+}
+export const addBreadcrumb = breadcrumb => {
+  return errorMonitorInstance.addBreadcrumb(breadcrumb)
+}
+export const getBreadcrumbs = () => {
+  return errorMonitorInstance.getBreadcrumbs()
+}
+export const clearBreadcrumbs = () => {
+  return errorMonitorInstance.clearBreadcrumbs()
+}
+export const setSender = sender => {
+  return errorMonitorInstance.setSender(sender)
+}
+export const setFormatter = formatter => {
+  return errorMonitorInstance.setFormatter(formatter)
+}
+export const addEventProcessor = processor => {
+  return errorMonitorInstance.addEventProcessor(processor)
+}
+export const setUser = user => {
+  return errorMonitorInstance.setUser(user)
+}
+export const setTag = (key, value) => {
+  return errorMonitorInstance.setTag(key, value)
+}
+export const setTags = tags => {
+  return errorMonitorInstance.setTags(tags)
+}
+export const setContext = (name, context) => {
+  return errorMonitorInstance.setContext(name, context)
+}
+export const pushScope = () => {
+  return errorMonitorInstance.pushScope()
+}
+export const popScope = () => {
+  return errorMonitorInstance.popScope()
+}
+export const withScope = callback => {
+  return errorMonitorInstance.withScope(callback)
+}
+export const getSession = () => {
+  return errorMonitorInstance.getSession()
+}
+export const getSessionSummary = () => {
+  return errorMonitorInstance.getSessionSummary()
+}
+export const sendSessionSummary = forceSend => {
+  return errorMonitorInstance.sendSessionSummary(forceSend)
+}
+// 导出类，便于创建自定义实例
+export { ErrorMonitor, TRANSPORT }
 // 默认导出 - 向后兼容
 export default errorMonitorInstance
@@ -0,0 +1,454 @@
+/**
+ * Source Map 还原工具（Node.js 端）
+ * 将生产环境压缩代码的堆栈还原为源码位置，支持命令行、编程调用和本地HTTP转发服务
+ */
+import fs from 'fs'
+import path from 'path'
+import http from 'http'
+import https from 'https'
+import { SourceMapConsumer } from 'source-map-js'
+import { parseStackTrace } from './index.js'
+import { resolveTransport, TRANSPORT } from './transport.js'
+
+/**
+ * 默认展示的源码上下文行数（出错行前后各N行）
+ * @constant {number}
+ */
+const DEFAULT_CONTEXT_LINES = 3
+/**
+ * 转发服务默认端口
+ * @constant {number}
+ */
+const DEFAULT_SERVER_PORT = 8787
+/**
+ * 转发服务默认监听地址（只允许本机访问）
+ * @constant {string}
+ */
+const DEFAULT_SERVER_HOST = '127.0.0.1'
+/**
+ * 转发服务请求体大小上限（字节）
+ * @constant {number}
+ */
+const MAX_REQUEST_BODY_SIZE = 1024 * 1024 // 1MB
+/**
+ * 消息中展示的还原堆栈帧数
+ * @constant {number}
+ */
+const FORMATTED_FRAMES_COUNT = 5
+
+/**
+ * Source Map 还原器
+ */
+export class Symbolicator {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.sourceMapDir uni-app 构建产物中 .map 文件所在目录（如 dist/build/mp-weixin）
+   * @param {number} [options.contextLines=3] 源码上下文行数
+   */
+  constructor(options = {}) {
+    if (!options.sourceMapDir) {
+      throw new Error('未配置 sourceMapDir')
+    }
+    this.sourceMapDir = path.resolve(options.sourceMapDir)
+    this.contextLines = options.contextLines ?? DEFAULT_CONTEXT_LINES
+    // 相对路径（去掉 .map 后缀）到 .map 文件绝对路径的映射
+    this._mapFiles = new Map()
+    // 已加载的 SourceMapConsumer 缓存
+    this._consumers = new Map()
+    this._scanSourceMaps(this.sourceMapDir)
+  }
+  /**
+   * 已发现的 Source Map 数量
+   * @returns {number}
+   */
+  get size() {
+    return this._mapFiles.size
+  }
+  /**
+   * 还原单个堆栈帧
+   * @param {Object} frame parseStackTrace 解析出的堆栈帧
+   * @returns {Object} 堆栈帧，找到源码位置时附带 original 字段
+   */
+  symbolicateFrame(frame) {
+    if (!frame || !frame.line) {
+      return { ...frame, original: null }
+    }
+    const consumer = this._getConsumer(frame.file)
+    if (!consumer) {
+      return { ...frame, original: null }
+    }
+    // 堆栈列号从1开始，Source Map 列号从0开始
+    const position = consumer.originalPositionFor({
+      line: frame.line,
+      column: Math.max((frame.column || 1) - 1, 0),
+    })
+    if (!position || !position.source) {
+      return { ...frame, original: null }
+    }
+    return {
+      ...frame,
+      original: {
+        source: position.source,
+        line: position.line,
+        column: position.column + 1,
+        // 映射位置上的标识符名称（通常是被调用的函数），不是出错代码所在的函数
+        name: position.name || null,
+        context: this._getSourceContext(consumer, position.source, position.line),
+      },
+    }
+  }
+  /**
+   * 还原堆栈字符串
+   * @param {string} stack 原始堆栈字符串
+   * @returns {Array<Object>} 还原后的堆栈帧
+   */
+  symbolicateStack(stack) {
+    return parseStackTrace(stack).map(frame => this.symbolicateFrame(frame))
+  }
+  /**
+   * 还原错误报告
+   * 支持 errorInfo 对象，或 json 传输协议发送的 { message, project, errorInfo } 载荷
+   * @param {Object} report 错误报告
+   * @returns {Object} 附带 symbolicatedFrames 的错误信息副本
+   */
+  symbolicateReport(report) {
+    const errorInfo = report && report.errorInfo ? report.errorInfo : report
+    if (!errorInfo || typeof errorInfo !== 'object') {
+      throw new Error('无效的错误报告')
+    }
+    let frames = Array.isArray(errorInfo.frames) && errorInfo.frames.length > 0 ? errorInfo.frames : null
+    if (!frames) {
+      const stack = [errorInfo.stack, errorInfo.error?.stack, errorInfo.reason?.stack, errorInfo.error, errorInfo.reason].find(
+        candidate => typeof candidate === 'string' && candidate,
+      )
+      frames = parseStackTrace(stack || '')
+    }
+    // 全局错误只有 source/lineno/colno 时补充一帧
+    if (frames.length === 0 && errorInfo.source && errorInfo.lineno) {
+      frames = [{ function: '', file: errorInfo.source, line: errorInfo.lineno, column: errorInfo.colno || 0, inApp: true }]
+    }
+    return {
+      ...errorInfo,
+      symbolicatedFrames: frames.map(frame => this.symbolicateFrame(frame)),
+    }
+  }
+  /**
+   * 释放已加载的 Source Map
+   */
+  destroy() {
+    this._consumers.clear()
+  }
+  /**
+   * 递归扫描目录中的 .map 文件
+   * @private
+   * @param {string} dir 目录
+   */
+  _scanSourceMaps(dir) {
+    let entries
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true })
+    } catch (error) {
+      throw new Error(`无法读取 Source Map 目录: ${dir}`)
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules') {
+          this._scanSourceMaps(fullPath)
+        }
+      } else if (entry.name.endsWith('.map')) {
+        const relativePath = path.relative(this.sourceMapDir, fullPath).split(path.sep).join('/')
+        this._mapFiles.set(relativePath.replace(/\.map$/, ''), fullPath)
+      }
+    }
+  }
+  /**
+   * 根据堆栈帧的文件路径查找对应的 Source Map
+   * 取与文件路径后缀匹配最长的 .map 文件，兼容 URL、小程序 appservice 路径和相对路径
+   * @private
+   * @param {string} file 堆栈帧文件路径
+   * @returns {SourceMapConsumer|null}
+   */
+  _getConsumer(file) {
+    const filePath = normalizeFramePath(file)
+    if (!filePath) {
+      return null
+    }
+    let matched = null
+    for (const relativePath of this._mapFiles.keys()) {
+      if ((filePath === relativePath || filePath.endsWith(`/${relativePath}`)) && (!matched || relativePath.length > matched.length)) {
+        matched = relativePath
+      }
+    }
+    if (!matched) {
+      return null
+    }
+    if (!this._consumers.has(matched)) {
+      try {
+        const rawMap = JSON.parse(fs.readFileSync(this._mapFiles.get(matched), 'utf-8'))
+        this._consumers.set(matched, new SourceMapConsumer(rawMap))
+      } catch (error) {
+        console.warn(`无法解析 Source Map: ${this._mapFiles.get(matched)}`, error.message)
+        this._consumers.set(matched, null)
+      }
+    }
+    return this._consumers.get(matched)
+  }
+  /**
+   * 获取源码上下文
+   * @private
+   * @param {SourceMapConsumer} consumer Source Map
+   * @param {string} source 源文件
+   * @param {number} line 行号
+   * @returns {Object|null} { pre, line, post }，Source Map 未包含源码时返回 null
+   */
+  _getSourceContext(consumer, source, line) {
+    const content = consumer.sourceContentFor(source, true)
+    if (!content || this.contextLines < 0) {
+      return null
+    }
+    const lines = content.split(/\r?\n/)
+    const index = line - 1
+    return {
+      pre: lines.slice(Math.max(index - this.contextLines, 0), index),
+      line: lines[index] ?? '',
+      post: lines.slice(index + 1, index + 1 + this.contextLines),
+    }
+  }
+}
+
+/**
+ * 规范化堆栈帧文件路径：去掉协议、域名、查询参数和 webpack 前缀
+ * @private
+ * @param {string} file 文件路径
+ * @returns {string} 规范化后的路径
+ */
+function normalizeFramePath(file) {
+  if (!file || file === '[native code]' || file === '<anonymous>' || file === 'native') {
+    return ''
+  }
+  return file
+    .replace(/[?#].*$/, '')
+    .replace(/^[a-z][\w+.-]*:\/\/[^/]*/i, '')
+    .replace(/^(?:webpack|weapp):\/*/i, '')
+    .replace(/\\/g, '/')
+    .replace(/^\.?\//, '')
+}
+
+/**
+ * 将还原后的堆栈帧格式化为文本
+ * @param {Array<Object>} frames symbolicateFrame 返回的堆栈帧
+ * @param {Object} [options] 格式化选项
+ * @param {boolean} [options.context=true] 是否输出源码上下文
+ * @param {number} [options.limit] 最多输出的帧数
+ * @returns {string} 格式化文本
+ */
+export function formatSymbolicatedFrames(frames, options = {}) {
+  const showContext = options.context !== false
+  const list = options.limit ? frames.slice(0, options.limit) : frames
+  return list
+    .map(frame => {
+      if (!frame.original) {
+        return `  at ${frame.function || '<anonymous>'} (${frame.file}:${frame.line}:${frame.column})`
+      }
+      const { source, line, column, context } = frame.original
+      // original.name 是映射位置上的标识符，不能作为函数名，沿用堆栈中的函数名
+      let text = `  at ${frame.function || '<anonymous>'} (${source}:${line}:${column})`
+      if (showContext && context) {
+        const width = String(line + context.post.length).length
+        const start = line - context.pre.length
+        const codeLines = [...context.pre, context.line, ...context.post]
+        codeLines.forEach((code, i) => {
+          const lineNo = start + i
+          text += `\n    ${lineNo === line ? '>' : ' '} ${String(lineNo).padStart(width)} | ${code}`
+        })
+      }
+      return text
+    })
+    .join('\n')
+}
+
+/**
+ * 创建本地还原转发服务
+ * 错误监控使用 json 传输协议将错误发送到该服务，服务还原堆栈后按指定协议转发到真实的 webhook
+ * @param {Object} options 配置选项
+ * @param {string} options.sourceMapDir .map 文件所在目录
+ * @param {string} options.forwardUrl 转发目标 webhook 地址
+ * @param {string|Object} [options.transport='wecom'] 转发使用的传输协议
+ * @param {Object} [options.transportOptions] 传输协议选项（如签名密钥）
+ * @param {number} [options.contextLines=3] 源码上下文行数
+ * @param {string} [options.token] 访问令牌，设置后请求需携带 Authorization: Bearer <token> 请求头或 ?token=<token> 参数
+ * @param {string} [options.corsOrigin='*'] 允许跨域访问的来源（H5 页面直接发送到该服务时需要）
+ * @returns {http.Server} 未启动的HTTP服务，调用 listen() 启动；未设置 token 时应只监听本机地址（DEFAULT_SERVER_HOST）
+ */
+export function createSymbolicationServer(options = {}) {
+  if (!options.forwardUrl) {
+    throw new Error('未配置 forwardUrl')
+  }
+  const transport = resolveTransport(options.transport || TRANSPORT.WECOM)
+  if (!transport) {
+    throw new Error(`无效的传输协议 "${options.transport}"`)
+  }
+  const symbolicator = new Symbolicator(options)
+  // H5 页面跨域发送时，浏览器会先发送 OPTIONS 预检请求
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': options.corsOrigin || '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Max-Age': '86400',
+  }
+  const server = http.createServer((req, res) => {
+    const respond = (statusCode, body, headers = {}) => {
+      res.writeHead(statusCode, { ...corsHeaders, 'Content-Type': 'application/json', ...headers })
+      res.end(JSON.stringify(body))
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders)
+      res.end()
+      return
+    }
+    if (req.method !== 'POST') {
+      respond(405, { code: 405, msg: 'method not allowed' })
+      return
+    }
+    if (options.token && !isAuthorized(req, options.token)) {
+      respond(401, { code: 401, msg: 'unauthorized' })
+      return
+    }
+    readJsonBody(req)
+      .then(async payload => {
+        const errorInfo = symbolicator.symbolicateReport(payload)
+        const frames = formatSymbolicatedFrames(errorInfo.symbolicatedFrames, { limit: FORMATTED_FRAMES_COUNT })
+        let message = typeof payload.message === 'string' ? payload.message : JSON.stringify(payload.errorInfo || payload, null, 2)
+        if (frames) {
+          message += `\n🗺️ 源码位置:\n${frames}\n`
+        }
+        const request = await transport.buildRequest({
+          url: options.forwardUrl,
+          message,
+          errorInfo,
+          options: options.transportOptions || {},
+          projectInfo: payload.project || { name: '', version: '' },
+        })
+        let forwardError
+        try {
+          const response = await postJson(request.url || options.forwardUrl, request.data, request.header)
+          forwardError =
+            response.statusCode < 200 || response.statusCode >= 300
+              ? `HTTP ${response.statusCode}`
+              : typeof transport.parseResponse === 'function'
+                ? transport.parseResponse(response)
+                : null
+        } catch (error) {
+          forwardError = error.message
+        }
+        if (forwardError) {
+          // 转发失败时返回5xx，客户端会进入重试和离线队列
+          respond(502, { code: 502, msg: `转发失败: ${forwardError}` })
+          return
+        }
+        respond(200, { code: 0, msg: 'ok' })
+      })
+      .catch(error => {
+        const statusCode = error.statusCode || 400
+        // 请求体未读完时响应后关闭连接
+        respond(statusCode, { code: statusCode, msg: error.message }, statusCode === 413 ? { Connection: 'close' } : {})
+      })
+  })
+  server.on('close', () => symbolicator.destroy())
+  return server
+}
+
+/**
+ * 检查请求是否携带正确的访问令牌
+ * @private
+ * @param {http.IncomingMessage} req 请求
+ * @param {string} token 访问令牌
+ * @returns {boolean}
+ */
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || ''
+  if (header === `Bearer ${token}`) {
+    return true
+  }
+  return new URL(req.url || '/', 'http://localhost').searchParams.get('token') === token
+}
+
+/**
+ * 读取JSON请求体
+ * 请求体过大时停止缓存并丢弃剩余数据，保留连接以便客户端收到 413 响应
+ * @private
+ * @param {http.IncomingMessage} req 请求
+ * @returns {Promise<Object>} 失败时的错误带有 statusCode（400 或 413）
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    const onData = chunk => {
+      body += chunk
+      if (body.length > MAX_REQUEST_BODY_SIZE) {
+        body = ''
+        req.removeListener('data', onData)
+        req.resume()
+        reject(Object.assign(new Error('请求体过大'), { statusCode: 413 }))
+      }
+    }
+    req.setEncoding('utf-8')
+    req.on('data', onData)
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body))
+      } catch (error) {
+        reject(new Error('请求体不是有效的JSON'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+/**
+ * 发送JSON POST请求
+ * @private
+ * @param {string} url 地址
+ * @param {Object} data 请求数据
+ * @param {Object} [header] 额外请求头
+ * @returns {Promise<{statusCode: number, data: *}>}
+ */
+function postJson(url, data, header = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url)
+    const body = JSON.stringify(data)
+    const client = target.protocol === 'https:' ? https : http
+    const req = client.request(
+      target,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...header,
+        },
+      },
+      res => {
+        let responseBody = ''
+        res.setEncoding('utf-8')
+        res.on('data', chunk => {
+          responseBody += chunk
+        })
+        res.on('end', () => {
+          let parsed = responseBody
+          try {
+            parsed = JSON.parse(responseBody)
+          } catch (error) {
+            // 非JSON响应保留原文
+          }
+          resolve({ statusCode: res.statusCode, data: parsed })
+        })
+      },
+    )
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+export { DEFAULT_SERVER_PORT, DEFAULT_SERVER_HOST }
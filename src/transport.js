@@ -0,0 +1,301 @@
+/**
+ * Webhook 传输协议（内部模块）
+ * 将错误消息转换为各平台机器人的请求格式，由错误监控和 Source Map 还原服务共用
+ */
+/**
+ * Webhook传输协议常量
+ * @constant {Object}
+ * @property {string} WECOM - 企业微信群机器人
+ * @property {string} DINGTALK - 钉钉群机器人（支持加签）
+ * @property {string} FEISHU - 飞书群机器人（支持签名校验）
+ * @property {string} LARK - Lark群机器人，与飞书协议相同
+ * @property {string} SLACK - Slack Incoming Webhook
+ * @property {string} JSON - 通用JSON webhook，直接POST结构化的错误信息
+ */
+export const TRANSPORT = {
+  WECOM: 'wecom',
+  DINGTALK: 'dingtalk',
+  FEISHU: 'feishu',
+  LARK: 'lark',
+  SLACK: 'slack',
+  JSON: 'json',
+}
+/**
+ * 内置webhook传输适配器
+ * buildRequest 返回 { url, data, header }，parseResponse 返回平台错误描述（成功时返回空值）
+ * @private
+ */
+const TRANSPORT_ADAPTERS = {
+  [TRANSPORT.WECOM]: {
+    buildRequest({ url, message, options }) {
+      return {
+        url,
+        data: {
+          msgtype: 'text',
+          text: {
+            content: message,
+            mentioned_list: options.mentionedList || [],
+            mentioned_mobile_list: options.mentionedMobileList || [],
+          },
+        },
+        header: options.header,
+      }
+    },
+    parseResponse({ data }) {
+      // 企业微信：{ errcode: 0, errmsg: 'ok' }
+      if (data && typeof data === 'object' && data.errcode !== undefined && data.errcode !== 0) {
+        return `${data.errcode} ${data.errmsg || ''}`
+      }
+      return null
+    },
+  },
+  [TRANSPORT.DINGTALK]: {
+    buildRequest({ url, message, options }) {
+      let signedUrl = url
+      // 加签：timestamp + "\n" + secret 使用 HmacSHA256 计算签名，拼接到URL参数中
+      if (options.secret) {
+        const timestamp = Date.now()
+        const sign = base64Encode(hmacSha256(utf8Encode(options.secret), utf8Encode(`${timestamp}\n${options.secret}`)))
+        signedUrl += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`
+      }
+      return {
+        url: signedUrl,
+        data: {
+          msgtype: 'text',
+          text: { content: message },
+          at: {
+            atMobiles: options.atMobiles || [],
+            atUserIds: options.atUserIds || [],
+            isAtAll: !!options.isAtAll,
+          },
+        },
+        header: options.header,
+      }
+    },
+    parseResponse({ data }) {
+      // 钉钉：{ errcode: 0, errmsg: 'ok' }
+      if (data && typeof data === 'object' && data.errcode !== undefined && data.errcode !== 0) {
+        return `${data.errcode} ${data.errmsg || ''}`
+      }
+      return null
+    },
+  },
+  [TRANSPORT.FEISHU]: {
+    buildRequest({ url, message, options }) {
+      const data = {
+        msg_type: 'text',
+        content: { text: message },
+      }
+      // 签名校验：以 timestamp + "\n" + secret 为密钥对空字符串计算 HmacSHA256（时间戳单位为秒）
+      if (options.secret) {
+        const timestamp = Math.floor(Date.now() / 1000)
+        data.timestamp = String(timestamp)
+        data.sign = base64Encode(hmacSha256(utf8Encode(`${timestamp}\n${options.secret}`), []))
+      }
+      return { url, data, header: options.header }
+    },
+    parseResponse({ data }) {
+      // 飞书：{ code: 0, msg: 'success' }，旧版接口返回 { StatusCode: 0 }
+      if (!data || typeof data !== 'object') {
+        return null
+      }
+      if (data.code !== undefined && data.code !== 0) {
+        return `${data.code} ${data.msg || ''}`
+      }
+      if (data.StatusCode !== undefined && data.StatusCode !== 0) {
+        return `${data.StatusCode} ${data.StatusMessage || ''}`
+      }
+      return null
+    },
+  },
+  [TRANSPORT.SLACK]: {
+    buildRequest({ url, message, options }) {
+      return {
+        url,
+        data: {
+          text: message,
+          ...(options.channel ? { channel: options.channel } : {}),
+          ...(options.username ? { username: options.username } : {}),
+        },
+        header: options.header,
+      }
+    },
+    parseResponse({ data }) {
+      // Slack：成功时返回纯文本 "ok"，失败时返回错误标识（如 invalid_payload）
+      if (typeof data === 'string' && data && data !== 'ok') {
+        return data
+      }
+      return null
+    },
+  },
+  [TRANSPORT.JSON]: {
+    buildRequest({ url, message, errorInfo, options, projectInfo }) {
+      return {
+        url,
+        data: {
+          message,
+          project: { ...projectInfo },
+          errorInfo,
+        },
+        header: options.header,
+      }
+    },
+  },
+}
+// Lark 与飞书使用相同的机器人协议
+TRANSPORT_ADAPTERS[TRANSPORT.LARK] = TRANSPORT_ADAPTERS[TRANSPORT.FEISHU]
+/**
+ * 解析传输协议配置
+ * @param {string|Object} transport 协议名称或自定义适配器对象
+ * @returns {Object|null} 传输适配器，无效时返回 null
+ */
+export function resolveTransport(transport) {
+  if (!transport) {
+    return TRANSPORT_ADAPTERS[TRANSPORT.WECOM]
+  }
+  if (typeof transport === 'string') {
+    return TRANSPORT_ADAPTERS[transport] || null
+  }
+  if (typeof transport === 'object' && typeof transport.buildRequest === 'function') {
+    return transport
+  }
+  return null
+}
+/**
+ * 字符串转UTF-8字节数组（小程序环境不一定提供 TextEncoder）
+ * @private
+ * @param {string} str 字符串
+ * @returns {number[]} 字节数组
+ */
+function utf8Encode(str) {
+  const bytes = []
+  for (let i = 0; i < str.length; i++) {
+    let code = str.charCodeAt(i)
+    // 合并代理对
+    if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) {
+      const next = str.charCodeAt(i + 1)
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00)
+        i++
+      }
+    }
+    if (code < 0x80) {
+      bytes.push(code)
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f))
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f))
+    }
+  }
+  return bytes
+}
+/**
+ * SHA-256 轮常量
+ * @private
+ */
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]
+/**
+ * 计算SHA-256摘要（纯JS实现，用于webhook签名）
+ * @private
+ * @param {number[]} bytes 输入字节数组
+ * @returns {number[]} 32字节摘要
+ */
+function sha256(bytes) {
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]
+  const rotr = (value, bits) => (value >>> bits) | (value << (32 - bits))
+  const bitLength = bytes.length * 8
+  const padded = bytes.concat([0x80])
+  while (padded.length % 64 !== 56) {
+    padded.push(0)
+  }
+  const high = Math.floor(bitLength / 0x100000000)
+  padded.push(
+    (high >>> 24) & 0xff, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff,
+    (bitLength >>> 24) & 0xff, (bitLength >>> 16) & 0xff, (bitLength >>> 8) & 0xff, bitLength & 0xff,
+  )
+  const w = new Array(64)
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4
+      w[i] = (padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3]
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3)
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10)
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0
+    }
+    let [a, b, c, d, e, f, g, h] = hash
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0
+      h = g
+      g = f
+      f = e
+      e = (d + t1) | 0
+      d = c
+      c = b
+      b = a
+      a = (t1 + t2) | 0
+    }
+    hash[0] = (hash[0] + a) | 0
+    hash[1] = (hash[1] + b) | 0
+    hash[2] = (hash[2] + c) | 0
+    hash[3] = (hash[3] + d) | 0
+    hash[4] = (hash[4] + e) | 0
+    hash[5] = (hash[5] + f) | 0
+    hash[6] = (hash[6] + g) | 0
+    hash[7] = (hash[7] + h) | 0
+  }
+  const result = []
+  hash.forEach(value => {
+    result.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff)
+  })
+  return result
+}
+/**
+ * 计算HMAC-SHA256
+ * @private
+ * @param {number[]} key 密钥字节数组
+ * @param {number[]} message 消息字节数组
+ * @returns {number[]} 32字节签名
+ */
+function hmacSha256(key, message) {
+  let keyBytes = key.length > 64 ? sha256(key) : key.slice()
+  while (keyBytes.length < 64) {
+    keyBytes.push(0)
+  }
+  const innerKey = keyBytes.map(byte => byte ^ 0x36)
+  const outerKey = keyBytes.map(byte => byte ^ 0x5c)
+  return sha256(outerKey.concat(sha256(innerKey.concat(message))))
+}
+/**
+ * 字节数组转Base64（小程序环境不一定提供 btoa）
+ * @private
+ * @param {number[]} bytes 字节数组
+ * @returns {string} Base64字符串
+ */
+function base64Encode(bytes) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+  let output = ''
+  for (let i = 0; i < bytes.length; i += 3) {
+    const byte1 = bytes[i]
+    const byte2 = i + 1 < bytes.length ? bytes[i + 1] : 0
+    const byte3 = i + 2 < bytes.length ? bytes[i + 2] : 0
+    const triplet = (byte1 << 16) | (byte2 << 8) | byte3
+    output += chars[(triplet >> 18) & 0x3f] + chars[(triplet >> 12) & 0x3f]
+    output += i + 1 < bytes.length ? chars[(triplet >> 6) & 0x3f] : '='
+    output += i + 2 < bytes.length ? chars[triplet & 0x3f] : '='
+  }
+  return output
+}
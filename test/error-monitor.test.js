@@ -16,10 +16,22 @@ global.uni = {
   request: (options) => {
     console.log(`[模拟请求] ${options.method} ${options.url}`)
     console.log('[请求内容]', JSON.stringify(options.data, null, 2))
-    // 模拟成功响应
+    global._requestLog.push(options)
+    // 模拟请求失败（可通过 global._mockRequestError 设置）
+    if (global._mockRequestError) {
+      setTimeout(() => options.fail && options.fail(global._mockRequestError), 50)
+      return { abort: () => {} }
+    }
+    // 未传入回调时与 uni-app 一致返回 Promise
+    if (!options.success && !options.fail && !options.complete) {
+      return new Promise(resolve => {
+        setTimeout(() => resolve(global._mockResponse || { statusCode: 200, data: {} }), 100)
+      })
+    }
+    // 模拟成功响应（可通过 global._mockResponse 覆盖）
     setTimeout(() => {
       if (options.success) {
-        options.success({
+        options.success(global._mockResponse || {
           statusCode: 200,
           data: { errcode: 0, errmsg: 'ok' }
         })
@@ -27,14 +39,64 @@ global.uni = {
     }, 100)
     return { abort: () => {} }
   },
+  uploadFile: (options) => {
+    // 模拟上传失败
+    setTimeout(() => {
+      options.fail && options.fail({ errMsg: 'uploadFile:fail timeout' })
+    }, 50)
+    return { abort: () => {} }
+  },
+  connectSocket: (options) => {
+    const socketTask = {
+      onError: (callback) => { socketTask._onError = callback },
+      onClose: (callback) => { socketTask._onClose = callback },
+      close: () => {},
+    }
+    global._socketTask = socketTask
+    return socketTask
+  },
+  getStorageSync: (key) => global._mockStorage[key] || '',
+  setStorageSync: (key, value) => {
+    global._mockStorage[key] = JSON.parse(JSON.stringify(value))
+  },
+  removeStorageSync: (key) => {
+    delete global._mockStorage[key]
+  },
+  onNetworkStatusChange: (callback) => {
+    global._uniOnNetworkStatusChangeCallback = callback
+  },
   onError: (callback) => {
     global._uniOnErrorCallback = callback
   },
   onPageNotFound: (callback) => {
     global._uniOnPageNotFoundCallback = callback
   },
+  onAppShow: (callback) => {
+    global._uniOnAppShowCallbacks.push(callback)
+  },
+  onAppHide: (callback) => {
+    global._uniOnAppHideCallbacks.push(callback)
+  },
+  offAppShow: (callback) => {
+    global._uniOnAppShowCallbacks = global._uniOnAppShowCallbacks.filter(item => item !== callback)
+  },
+  offAppHide: (callback) => {
+    global._uniOnAppHideCallbacks = global._uniOnAppHideCallbacks.filter(item => item !== callback)
+  },
 }
 
+// 保存被监控替换之前的原始函数，用于验证销毁后是否还原
+const nativeUniRequest = global.uni.request
+const nativeConsoleError = console.error
+
+// 记录模拟请求，便于断言请求内容
+global._requestLog = []
+global._mockResponse = null
+global._mockRequestError = null
+global._mockStorage = {}
+global._uniOnAppShowCallbacks = []
+global._uniOnAppHideCallbacks = []
+
 // 模拟 getCurrentPages
 global.getCurrentPages = () => [
   {
@@ -50,37 +112,55 @@ global.window = {
   addEventListener: (event, callback) => {
     if (event === 'unhandledrejection') {
       global._unhandledRejectionCallback = callback
+    } else {
+      global._windowEventListeners[event] = callback
+    }
+  },
+  removeEventListener: (event, callback) => {
+    if (global._windowEventListeners[event] === callback) {
+      delete global._windowEventListeners[event]
     }
   },
 }
+global._windowEventListeners = {}
 
 global.navigator = {
   userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Test Browser'
 }
 
-// 设置环境变量
-process.env.MODE = 'production'
-process.env.VITE_WEBHOOK = ''
+// 设置环境变量（webpack 方式注入）
+process.env.NODE_ENV = 'production'
 
-// 读取源文件并修改 import.meta 引用
 const fs = require('fs')
 const path = require('path')
+const http = require('http')
+const babel = require('@babel/core')
 
-// 读取源代码
-const sourcePath = path.join(__dirname, '../src/index.js')
-let sourceCode = fs.readFileSync(sourcePath, 'utf-8')
-
-// 替换 import.meta.env 为 process.env
-sourceCode = sourceCode.replace(/import\.meta\.env\.MODE/g, 'process.env.MODE || "production"')
-sourceCode = sourceCode.replace(/import\.meta\.env\.VITE_WEBHOOK/g, 'process.env.VITE_WEBHOOK || ""')
-
-// 创建临时模块
-const tempModulePath = path.join(__dirname, 'temp-index.js')
-fs.writeFileSync(tempModulePath, sourceCode)
+// 源码为 ES Module：通过 Babel 转换为 CommonJS 后加载，import.meta 替换为空对象（环境变量由 process.env 提供）
+const srcDir = path.join(__dirname, '../src')
+const loadCommonJs = require.extensions['.js']
+require.extensions['.js'] = (module, filename) => {
+  if (!filename.startsWith(srcDir)) {
+    return loadCommonJs(module, filename)
+  }
+  const { code } = babel.transformFileSync(filename, {
+    babelrc: false,
+    configFile: false,
+    presets: [['@babel/preset-env', { targets: { node: 'current' }, modules: 'commonjs' }]],
+    plugins: [({ types }) => ({
+      visitor: {
+        MetaProperty(metaPath) {
+          metaPath.replaceWith(types.objectExpression([]))
+        },
+      },
+    })],
+  })
+  module._compile(code, filename)
+}
 
 // 导入错误监控模块
-const errorMonitor = require('./temp-index.js')
-const { initErrorMonitor, reportError, getErrorStats, resetErrorStats, getErrorLevel, setErrorLevel, clearErrorCache, ERROR_LEVEL } = errorMonitor
+const errorMonitor = require('../src/index.js')
+const { initErrorMonitor, reportError, getErrorStats, resetErrorStats, getErrorLevel, setErrorLevel, clearErrorCache, setSender, setFormatter, addEventProcessor, setUser, setTag, setTags, setContext, pushScope, popScope, withScope, destroyErrorMonitor, getSession, getSessionSummary, sendSessionSummary, wrapPromise, flushOfflineQueue, getOfflineQueueSize, clearOfflineQueue, flushBatch, addBreadcrumb, getBreadcrumbs, clearBreadcrumbs, VueErrorPlugin, Vue2ErrorPlugin, ErrorMonitor, parseStackTrace, ERROR_LEVEL, TRANSPORT } = errorMonitor
 
 // 测试配置
 const TEST_WEBHOOK = 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=9a401eb2-065a-4882-82e9-b438bcd1eac4'
@@ -109,6 +189,24 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms))
 }
 
+/**
+ * HTTP 请求函数，返回状态码、响应头和响应体
+ */
+function httpRequest(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, res => {
+      let data = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => {
+        data += chunk
+      })
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }))
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
 /**
  * 测试套件
  */
@@ -285,6 +383,1272 @@ async function runTests() {
   assert(afterReset.global === 0, '重置后全局错误数应为0')
   assert(afterReset.promise === 0, '重置后Promise错误数应为0')
 
+  // ========== 测试9: 自定义发送器和格式化函数 ==========
+  console.log('\n📋 测试组9: 自定义发送器和格式化函数')
+  console.log('----------------------------------------')
+
+  resetErrorStats()
+  clearErrorCache()
+
+  const sentReports = []
+  setFormatter(errorInfo => `自定义格式: ${errorInfo.type}`)
+  setSender(async (errorInfo, message) => {
+    sentReports.push({ errorInfo, message })
+  })
+
+  reportError('manual', new Error('自定义发送器测试'))
+
+  await delay(100)
+  assert(sentReports.length === 1, '自定义发送器应收到错误信息')
+  assert(sentReports[0] && sentReports[0].message === '自定义格式: manual', '自定义发送器应收到自定义格式化后的消息')
+
+  // 发送失败时应按重试逻辑再次调用自定义发送器
+  let senderCalls = 0
+  setSender(async () => {
+    senderCalls++
+    if (senderCalls === 1) {
+      throw new Error('模拟发送失败')
+    }
+  })
+
+  reportError('manual', new Error('自定义发送器重试测试'), {}, true)
+
+  await delay(1500)
+  assert(senderCalls === 2, '自定义发送器失败后应重试')
+
+  // 自定义发送器发往其他地址的请求失败时，不应被捕获为网络错误再次上报
+  resetErrorStats()
+  global._mockRequestError = { errMsg: 'request:fail timeout' }
+  const loopReports = []
+  setSender(errorInfo => new Promise(resolve => {
+    loopReports.push(errorInfo)
+    uni.request({ url: 'https://log.example.com/collect', method: 'POST', data: {}, success: resolve, fail: resolve })
+  }))
+  reportError('manual', new Error('自定义发送器请求失败测试'))
+
+  await delay(200)
+  global._mockRequestError = null
+  assert(loopReports.length === 1 && getErrorStats().network === 0, '自定义发送器自身的请求失败不应上报为网络错误')
+
+  // 恢复内置实现
+  setSender(null)
+  setFormatter(null)
+
+  // ========== 测试10: 多平台传输协议 ==========
+  console.log('\n📋 测试组10: 多平台传输协议')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  global._requestLog = []
+
+  initErrorMonitor({
+    webhookUrl: 'https://oapi.dingtalk.com/robot/send?access_token=test',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    transport: TRANSPORT.DINGTALK,
+    transportOptions: { secret: 'SECtest', atMobiles: ['13800000000'] },
+  })
+  reportError('manual', new Error('钉钉传输测试'))
+
+  await delay(200)
+  const dingtalkRequest = global._requestLog[global._requestLog.length - 1]
+  assert(dingtalkRequest && /&timestamp=\d+&sign=/.test(dingtalkRequest.url), '钉钉加签应在URL中附加 timestamp 和 sign')
+  assert(dingtalkRequest && dingtalkRequest.data.msgtype === 'text' && dingtalkRequest.data.at.atMobiles[0] === '13800000000', '钉钉消息格式应正确')
+
+  clearErrorCache()
+  initErrorMonitor({
+    webhookUrl: 'https://open.feishu.cn/open-apis/bot/v2/hook/test',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    transport: TRANSPORT.FEISHU,
+    transportOptions: { secret: 'feishu-secret' },
+    maxRetries: 1,
+    retryDelay: 100,
+  })
+  // 模拟飞书返回签名校验失败
+  global._mockResponse = { statusCode: 200, data: { code: 19021, msg: 'sign match fail' } }
+  global._requestLog = []
+  reportError('manual', new Error('飞书传输测试'))
+
+  await delay(600)
+  const feishuRequest = global._requestLog[0]
+  assert(feishuRequest && feishuRequest.data.msg_type === 'text' && !!feishuRequest.data.sign, '飞书消息应包含签名')
+  assert(global._requestLog.length === 2, '平台返回错误码时应重试')
+  global._mockResponse = null
+
+  // 恢复企业微信配置
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+  })
+
+  await delay(200)
+
+  // ========== 测试11: 离线队列 ==========
+  console.log('\n📋 测试组11: 离线队列')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  clearOfflineQueue()
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    maxRetries: 0,
+  })
+
+  // 模拟网络不可用
+  let networkAvailable = false
+  setSender(async () => {
+    if (!networkAvailable) {
+      throw new Error('模拟网络不可用')
+    }
+  })
+  reportError('manual', new Error('离线队列测试A'))
+  reportError('manual', new Error('离线队列测试B'))
+
+  await delay(100)
+  assert(getOfflineQueueSize() === 2, '发送失败的错误应写入离线队列')
+
+  // 模拟网络恢复
+  networkAvailable = true
+  global._uniOnNetworkStatusChangeCallback({ isConnected: true, networkType: 'wifi' })
+
+  await delay(100)
+  assert(getOfflineQueueSize() === 0, '网络恢复后应补发并清空离线队列')
+
+  // 模拟应用重启后补发
+  networkAvailable = false
+  reportError('manual', new Error('离线队列测试C'))
+
+  await delay(100)
+  networkAvailable = true
+  await flushOfflineQueue()
+  assert(getOfflineQueueSize() === 0, '手动补发后应清空离线队列')
+
+  setSender(null)
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+  })
+
+  // ========== 测试12: 批量汇总 ==========
+  console.log('\n📋 测试组12: 批量汇总')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    enableBatch: true,
+    batchInterval: 60000,
+    batchMaxSize: 5,
+  })
+
+  const batchReports = []
+  setSender(async (errorInfo, message) => {
+    batchReports.push({ errorInfo, message })
+  })
+  reportError('manual', new Error('批量错误A'))
+  reportError('manual', new Error('批量错误A'))
+  reportError('manual', new Error('批量错误B'))
+
+  await delay(100)
+  assert(batchReports.length === 0, '时间窗口内的错误不应立即发送')
+
+  flushBatch()
+
+  await delay(100)
+  const digest = batchReports[0] && batchReports[0].errorInfo
+  assert(batchReports.length === 1 && digest.type === 'digest', '手动发送时应合并为一条汇总消息')
+  assert(digest && digest.total === 3 && digest.events.length === 2, '汇总应按错误签名分组')
+  assert(digest && digest.events.some(event => event.count === 2), '汇总应统计每类错误的出现次数（包含被去重的重复错误）')
+
+  // 达到最大条数时立即发送
+  // 数字会被标准化，使用字母区分不同错误
+  for (const suffix of ['C', 'D', 'E', 'F', 'G']) {
+    reportError('manual', new Error(`批量错误${suffix}`))
+  }
+
+  await delay(100)
+  assert(batchReports.length === 2 && batchReports[1].errorInfo.total === 5, '达到最大条数时应立即发送汇总')
+
+  // 窗口内只有一条错误时按原格式直接发送，不再进入缓冲区
+  reportError('manual', new Error('批量错误H'))
+  flushBatch()
+
+  await delay(100)
+  assert(batchReports.length === 3 && batchReports[2].errorInfo.error === '批量错误H', '窗口内只有一条错误时应直接发送')
+  flushBatch()
+  await delay(100)
+  assert(batchReports.length === 3, '单条错误发送后不应重新进入批量缓冲区')
+
+  setSender(null)
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+  })
+
+  // ========== 测试13: 面包屑 ==========
+  console.log('\n📋 测试组13: 面包屑')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  clearBreadcrumbs()
+
+  uni.request({ url: 'https://api.example.com/breadcrumb', method: 'GET' })
+
+  await delay(200)
+  addBreadcrumb({ type: 'user', message: '点击提交按钮' })
+  const breadcrumbs = getBreadcrumbs()
+  assert(breadcrumbs.some(item => item.type === 'user' && item.message === '点击提交按钮'), '应记录手动添加的面包屑')
+  assert(breadcrumbs.some(item => item.type === 'http' && item.data.url === 'https://api.example.com/breadcrumb'), '应自动记录网络请求面包屑')
+
+  let breadcrumbReport = null
+  setSender(async (errorInfo, message) => {
+    breadcrumbReport = { errorInfo, message }
+  })
+  reportError('manual', new Error('面包屑测试'))
+
+  await delay(100)
+  assert(breadcrumbReport && breadcrumbReport.errorInfo.breadcrumbs.some(item => item.message === '点击提交按钮'), '上报的错误信息应附带面包屑')
+  assert(breadcrumbReport && breadcrumbReport.message.includes('点击提交按钮'), '格式化消息应包含操作轨迹')
+  setSender(null)
+
+  // ========== 测试14: 接口错误自动捕获 ==========
+  console.log('\n📋 测试组14: 接口错误自动捕获')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  resetErrorStats()
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    enableApiError: true,
+    apiErrorRules: {
+      isBusinessError: res => res.data.code !== 0,
+      exclude: ['/ignored'],
+    },
+  })
+
+  const apiReports = []
+  setSender(async errorInfo => {
+    apiReports.push(errorInfo)
+  })
+
+  global._mockResponse = { statusCode: 500, data: 'Internal Server Error' }
+  let successCalled = false
+  uni.request({
+    url: 'https://api.example.com/http-error',
+    method: 'post',
+    data: { id: 1 },
+    success: () => {
+      successCalled = true
+    },
+  })
+
+  await delay(200)
+  assert(successCalled, '捕获接口错误时应保留原有的 success 回调')
+  assert(apiReports.length === 1 && apiReports[0].type === 'api' && apiReports[0].statusCode === 500, 'HTTP 5xx 响应应自动上报为接口错误')
+  assert(apiReports[0] && apiReports[0].url === 'https://api.example.com/http-error' && apiReports[0].method === 'POST', '接口错误应记录请求地址和方法')
+
+  global._mockResponse = { statusCode: 200, data: { code: 1001, msg: '余额不足' } }
+  uni.request({ url: 'https://api.example.com/business-error', method: 'GET' })
+  uni.request({ url: 'https://api.example.com/ignored', method: 'GET' })
+
+  await delay(200)
+  assert(apiReports.length === 2 && apiReports[1].statusCode === 1001 && apiReports[1].statusText === '余额不足', '业务错误码应自动上报为接口错误')
+  assert(getErrorStats().api === 2, '黑名单中的请求不应上报')
+
+  global._mockResponse = null
+  setSender(null)
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+  })
+
+  // ========== 测试15: Promise 调用方式和上传、下载、WebSocket 监控 ==========
+  console.log('\n📋 测试组15: Promise 调用方式和上传、下载、WebSocket 监控')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  resetErrorStats()
+
+  const networkReports = []
+  setSender(async errorInfo => {
+    networkReports.push(errorInfo)
+  })
+
+  const promiseResult = uni.request({ url: 'https://api.example.com/promise-style' })
+  assert(promiseResult && typeof promiseResult.then === 'function', '未传入回调时 uni.request 应返回 Promise')
+  const promiseResponse = await promiseResult
+  assert(promiseResponse && promiseResponse.statusCode === 200, 'Promise 调用方式应返回原始响应')
+
+  let uploadFailCalled = false
+  uni.uploadFile({
+    url: 'https://api.example.com/upload',
+    filePath: 'tmp://file.png',
+    name: 'file',
+    fail: () => {
+      uploadFailCalled = true
+    },
+  })
+
+  await delay(100)
+  assert(uploadFailCalled, '上传失败时应保留原有的 fail 回调')
+  assert(networkReports.some(item => item.api === 'uploadFile' && item.url === 'https://api.example.com/upload'), '上传失败应上报为网络错误')
+
+  uni.connectSocket({ url: 'wss://api.example.com/socket', complete: () => {} })
+  global._socketTask._onClose({ code: 1000, reason: 'normal' })
+  global._socketTask._onClose({ code: 1006, reason: 'abnormal' })
+
+  await delay(100)
+  const socketReports = networkReports.filter(item => item.api === 'connectSocket')
+  assert(socketReports.length === 1 && socketReports[0].statusCode === 1006, 'WebSocket 仅异常关闭时应上报网络错误')
+
+  setSender(null)
+
+  // ========== 测试16: Vue 3 插件 ==========
+  console.log('\n📋 测试组16: Vue 3 插件')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  resetErrorStats()
+
+  const vueReports = []
+  setSender(async errorInfo => {
+    vueReports.push(errorInfo)
+  })
+
+  let previousHandlerCalled = false
+  const app = {
+    config: {
+      errorHandler: () => {
+        previousHandlerCalled = true
+      },
+    },
+  }
+  app.use = (plugin, options) => plugin.install(app, options)
+  app.use(VueErrorPlugin)
+
+  const rootInstance = { $options: { name: 'App' }, $parent: null }
+  rootInstance.$root = rootInstance
+  const childInstance = { $options: { __file: 'src/components/OrderList.vue' }, $parent: rootInstance, $root: rootInstance }
+  app.config.errorHandler(new Error('渲染失败'), childInstance, 'render function')
+
+  await delay(100)
+  assert(previousHandlerCalled, '应继续调用之前注册的 errorHandler')
+  const vueReport = vueReports.find(item => item.type === 'vue')
+  assert(vueReport && vueReport.componentName === 'OrderList' && vueReport.lifecycle === 'render function', 'Vue 错误应包含组件名称和生命周期信息')
+  assert(vueReport && vueReport.componentTrace.join(' ') === '<OrderList> <Root>', 'Vue 错误应包含组件链')
+  assert(getErrorStats().vue === 1, 'Vue 错误应被正确统计')
+
+  setSender(null)
+
+  // ========== 测试17: 堆栈解析 ==========
+  console.log('\n📋 测试组17: 堆栈解析')
+  console.log('----------------------------------------')
+
+  const v8Frames = parseStackTrace([
+    "TypeError: Cannot read properties of undefined (reading 'id')",
+    '    at Object.onLoad (https://servicewechat.com/wx123/0/appservice/pages/index/index.js:12:3)',
+    '    at Array.forEach (<anonymous>)',
+    '    at WAServiceMainContext.js:2:3000',
+  ].join('\n'))
+  assert(v8Frames.length === 3 && v8Frames[0].function === 'Object.onLoad' && v8Frames[0].line === 12 && v8Frames[0].column === 3, '应解析 V8 / 微信小程序堆栈')
+  assert(v8Frames[0].inApp && !v8Frames[1].inApp && !v8Frames[2].inApp, '应区分业务代码和基础库代码')
+
+  const asyncFrames = parseStackTrace('Error: 异步错误\n    at async https://example.com/pages/index/index.js:1:2\n    at async loadData (https://example.com/pages/index/index.js:3:4)')
+  assert(asyncFrames.length === 2 && asyncFrames[0].file === 'https://example.com/pages/index/index.js' && asyncFrames[0].function === '' && asyncFrames[0].line === 1, '匿名异步帧的文件路径不应包含 async 前缀')
+  assert(asyncFrames[1].function === 'loadData' && asyncFrames[1].file === 'https://example.com/pages/index/index.js', '具名异步帧应去掉函数名的 async 前缀')
+
+  const jscFrames = parseStackTrace('onLoad@https://lib/appservice/pages/index/index.js:12:3\nforEach@[native code]')
+  assert(jscFrames.length === 2 && jscFrames[0].function === 'onLoad' && jscFrames[0].file === 'https://lib/appservice/pages/index/index.js', '应解析 JavaScriptCore 堆栈')
+
+  clearErrorCache()
+  let stackReport = null
+  setSender(async (errorInfo, message) => {
+    stackReport = { errorInfo, message }
+  })
+  reportError('manual', new Error('堆栈解析测试'))
+
+  await delay(100)
+  assert(stackReport && stackReport.errorInfo.frames.length > 0 && stackReport.message.includes('📍 关键堆栈'), '上报的错误应包含解析后的堆栈帧')
+  setSender(null)
+
+  // ========== 测试18: Source Map 还原 ==========
+  console.log('\n📋 测试组18: Source Map 还原')
+  console.log('----------------------------------------')
+
+  const { SourceMapGenerator } = require('source-map-js')
+  const { Symbolicator, formatSymbolicatedFrames, createSymbolicationServer } = require('../src/symbolicate.js')
+  const mapDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'uniapp-error-monitor-'))
+  fs.mkdirSync(path.join(mapDir, 'pages/index'), { recursive: true })
+  const mapGenerator = new SourceMapGenerator({ file: 'index.js' })
+  mapGenerator.addMapping({ generated: { line: 1, column: 120 }, original: { line: 3, column: 4 }, source: 'src/pages/index/index.vue', name: 'handleTap' })
+  mapGenerator.setSourceContent('src/pages/index/index.vue', 'export default {\n  handleTap() {\n    throw new Error("tap")\n  },\n}')
+  fs.writeFileSync(path.join(mapDir, 'pages/index/index.js.map'), mapGenerator.toString())
+
+  const symbolicator = new Symbolicator({ sourceMapDir: mapDir, contextLines: 1 })
+  const symbolicatedFrames = symbolicator.symbolicateStack('Error: tap\n    at e.handleTap (https://usr/appservice/pages/index/index.js?t=1:1:121)\n    at n (https://usr/appservice/common/vendor.js:2:300)')
+  assert(symbolicatedFrames[0].original && symbolicatedFrames[0].original.source === 'src/pages/index/index.vue' && symbolicatedFrames[0].original.line === 3, '应通过路径后缀匹配还原源码位置')
+  assert(symbolicatedFrames[0].original.context.line.includes('throw new Error') && symbolicatedFrames[0].original.context.pre.length === 1, '应附带源码上下文')
+  assert(symbolicatedFrames[1].original === null, '没有 Source Map 的堆栈帧应保持原样')
+  const symbolicatedReport = symbolicator.symbolicateReport({ message: '', errorInfo: { type: 'global', source: 'pages/index/index.js', lineno: 1, colno: 121 } })
+  assert(symbolicatedReport.symbolicatedFrames[0].original?.name === 'handleTap', '应支持还原仅包含 source/lineno/colno 的错误报告')
+  assert(formatSymbolicatedFrames(symbolicatedFrames).includes('> 3 |'), '格式化输出应标出出错行')
+  const calleeFrames = symbolicator.symbolicateStack('Error: tap\n    at main (https://usr/appservice/pages/index/index.js?t=1:1:121)')
+  assert(formatSymbolicatedFrames(calleeFrames, { context: false }) === '  at main (src/pages/index/index.vue:3:5)', '格式化输出应使用堆栈中的函数名，而不是映射位置上的标识符')
+
+  // 转发服务：校验访问令牌，转发请求失败时返回 502
+  const symbolicationServer = createSymbolicationServer({ sourceMapDir: mapDir, forwardUrl: 'http://127.0.0.1:1/webhook', token: 'test-token' })
+  await new Promise(resolve => symbolicationServer.listen(0, '127.0.0.1', resolve))
+  const serverUrl = `http://127.0.0.1:${symbolicationServer.address().port}`
+  const postReport = headers =>
+    httpRequest(serverUrl, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify({ message: 'tap', errorInfo: { type: 'manual' } }) })
+  const unauthorizedResponse = await postReport({})
+  assert(unauthorizedResponse.status === 401, '未携带访问令牌的请求应被拒绝')
+  const forwardFailedResponse = await postReport({ Authorization: 'Bearer test-token' })
+  assert(forwardFailedResponse.status === 502, '转发请求失败时应返回 502')
+  const preflightResponse = await httpRequest(serverUrl, { method: 'OPTIONS', headers: { Origin: 'http://localhost:8080', 'Access-Control-Request-Method': 'POST' } })
+  assert(preflightResponse.status === 204 && preflightResponse.headers['access-control-allow-origin'] === '*' && preflightResponse.headers['access-control-allow-headers'].includes('Authorization'), 'CORS 预检请求应返回允许跨域的响应头')
+  const oversizedResponse = await httpRequest(serverUrl, { method: 'POST', headers: { Authorization: 'Bearer test-token' }, body: 'x'.repeat(1024 * 1024 + 1) })
+  assert(oversizedResponse.status === 413 && JSON.parse(oversizedResponse.body).msg === '请求体过大', '请求体过大时客户端应收到 413 响应')
+  await new Promise(resolve => symbolicationServer.close(resolve))
+  fs.rmSync(mapDir, { recursive: true, force: true })
+
+  // ========== 测试19: 错误指纹 ==========
+  console.log('\n📋 测试组19: 错误指纹')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  const fingerprintReports = []
+  setSender(async errorInfo => {
+    fingerprintReports.push(errorInfo)
+  })
+  reportError('manual', '订单 1001 加载失败: /api/order?id=1001&t=1700000000')
+  reportError('manual', '订单 1002 加载失败: /api/order?id=1002&t=1700000001')
+  reportError('manual', '用户 123e4567-e89b-12d3-a456-426614174000 会话 5f3a9c2b7e1d4f60 过期')
+  reportError('manual', '用户 9b2f1c4e-0a6d-4e7b-9c3f-1d2e3f4a5b6c 会话 a1b2c3d4e5f60718 过期')
+  await delay(100)
+  assert(fingerprintReports.length === 2, '消息中的数字、查询参数、UUID和十六进制串不同时应视为同一错误')
+  assert(fingerprintReports[0].fingerprint === 'manual:订单 <num> 加载失败: /api/order?<query>', '上报的错误应记录标准化后的指纹')
+
+  const createStackError = (message, line) => {
+    const error = new Error(message)
+    error.stack = `Error: ${message}\n    at submit (https://usr/appservice/pages/order/order.js:${line}:5)\n    at n (https://usr/appservice/common/vendor.js:2:300)`
+    return error
+  }
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000, groupByStack: true })
+  clearErrorCache()
+  fingerprintReports.length = 0
+  reportError('manual', createStackError('库存不足', 20))
+  reportError('manual', createStackError('余额不足', 20))
+  reportError('manual', createStackError('库存不足', 30))
+  await delay(100)
+  assert(fingerprintReports.length === 2 && fingerprintReports[0].fingerprint === 'manual:submit@https://usr/appservice/pages/order/order.js:20', '开启 groupByStack 后应按业务代码堆栈帧分组')
+
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    fingerprint: errorInfo => (errorInfo.error?.startsWith('支付') ? ['payment', errorInfo.page] : null),
+  })
+  clearErrorCache()
+  fingerprintReports.length = 0
+  reportError('manual', '支付超时')
+  reportError('manual', '支付签名错误')
+  reportError('manual', '其他错误')
+  await delay(100)
+  assert(fingerprintReports.length === 2 && fingerprintReports[0].fingerprint.startsWith('payment:'), '自定义 fingerprint 应决定错误分组')
+  assert(fingerprintReports[1].fingerprint === 'manual:其他错误', 'fingerprint 返回空值时应使用内置规则')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000 })
+  setSender(null)
+
+  // ========== 测试20: 频率限制 ==========
+  console.log('\n📋 测试组20: 频率限制')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  resetErrorStats()
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    enableRateLimit: true,
+    rateLimitBurst: 2,
+    rateLimitPerMinute: 300, // 每200毫秒恢复一个令牌
+  })
+  const rateLimitReports = []
+  setSender(async errorInfo => {
+    rateLimitReports.push(errorInfo)
+  })
+  for (const suffix of ['A', 'B', 'C', 'D', 'E']) {
+    reportError('manual', new Error(`错误循环${suffix}`))
+  }
+
+  await delay(100)
+  assert(rateLimitReports.length === 2 && getErrorStats().suppressed === 3, '令牌用尽后的错误应被抑制')
+
+  await delay(300)
+  const suppressedSummary = rateLimitReports.find(errorInfo => errorInfo.type === 'suppressed')
+  assert(rateLimitReports.length === 3 && suppressedSummary && suppressedSummary.count === 3, '恢复令牌后应发送一条抑制汇总')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000, maxReportsPerSession: 1 })
+  rateLimitReports.length = 0
+  reportError('manual', new Error('会话上限A'))
+  reportError('manual', new Error('会话上限B'))
+
+  await delay(100)
+  assert(rateLimitReports.length === 1 && getErrorStats().suppressed === 4, '达到会话上限后不应继续发送')
+
+  // 开启批量汇总时，进入缓冲区的错误同样受频率限制
+  resetErrorStats()
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    enableBatch: true,
+    batchInterval: 60000,
+    enableRateLimit: true,
+    rateLimitBurst: 2,
+    rateLimitPerMinute: 1,
+  })
+  rateLimitReports.length = 0
+  for (const suffix of ['A', 'B', 'C', 'D']) {
+    reportError('manual', new Error(`批量循环${suffix}`))
+  }
+  flushBatch()
+
+  await delay(100)
+  const batchLimitDigest = rateLimitReports.find(errorInfo => errorInfo.type === 'digest')
+  assert(batchLimitDigest && batchLimitDigest.total === 2 && getErrorStats().suppressed === 2, '批量汇总时超出频率限制的错误应被抑制')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000 })
+  setSender(null)
+
+  // ========== 测试21: 采样 ==========
+  console.log('\n📋 测试组21: 采样')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    sampling: {
+      types: { manual: 0.5, network: 0 },
+      severities: { normal: 0 },
+    },
+  })
+  const sampledReports = []
+  setSender(async (errorInfo, message) => {
+    sampledReports.push({ errorInfo, message })
+  })
+  const originalRandom = Math.random
+  Math.random = () => 0.1
+  reportError('manual', new Error('采样命中'))
+  Math.random = () => 0.9
+  reportError('manual', new Error('采样未命中'))
+  Math.random = originalRandom
+  reportError('network', new Error('网络采样'))
+  reportError('promise', new Error('严重程度采样'))
+  reportError('promise', new Error('强制发送不采样'), {}, true)
+
+  await delay(100)
+  assert(sampledReports.length === 2, '应按类型和严重程度采样，强制发送时不采样')
+  assert(sampledReports[0].errorInfo.sampleRate === 0.5 && sampledReports[0].message.includes('🎲 采样率: 50%'), '上报的错误应记录采样率')
+  assert(sampledReports[1].errorInfo.sampleRate === 1, '强制发送的错误采样率应为1')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000 })
+  setSender(null)
+
+  // ========== 测试22: 敏感信息脱敏 ==========
+  console.log('\n📋 测试组22: 敏感信息脱敏')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    redactRules: {
+      keys: ['openid'],
+      patterns: [/order-\d+/, { pattern: /张三/g, replacement: '*' }],
+    },
+  })
+  const redactedReports = []
+  setSender(async (errorInfo, message) => {
+    redactedReports.push({ errorInfo, message })
+  })
+  const sensitiveRequest = {
+    config: {
+      url: 'https://api.example.com/user?id=1&access_token=abc123&sign=ok',
+      method: 'POST',
+      data: { phone: '13812345678', password: 'p@ss', openid: 'o_123', remark: '张三 的订单 order-42，身份证 11010519491231002X' },
+      header: { Authorization: 'Bearer eyJhbGciOi.abc.def', Cookie: 'sid=xyz', 'Content-Type': 'application/json' },
+    },
+    statusCode: 401,
+    data: { code: 401, msg: '用户 13912345678 登录失效' },
+  }
+  reportError('api', sensitiveRequest)
+
+  await delay(100)
+  const redacted = redactedReports[0]
+  const redactedHeaders = redacted && redacted.errorInfo.requestHeaders
+  assert(redactedHeaders && redactedHeaders.Authorization === '[已脱敏]' && redactedHeaders.Cookie === '[已脱敏]' && redactedHeaders['Content-Type'] === 'application/json', '应脱敏认证头和Cookie')
+  const redactedData = redacted && redacted.errorInfo.requestData
+  assert(redactedData && redactedData.phone === '[已脱敏]' && redactedData.password === '[已脱敏]' && redactedData.openid === '[已脱敏]', '应脱敏内置和自定义的敏感字段')
+  assert(redactedData && redactedData.remark === '* 的订单 [已脱敏]，身份证 [已脱敏]', '应按内置和自定义规则脱敏字符串内容')
+  assert(redacted && redacted.errorInfo.url === 'https://api.example.com/user?id=1&access_token=[已脱敏]&sign=ok', '应脱敏查询参数中的令牌')
+  assert(redacted && !/13812345678|13912345678|p@ss|abc123|eyJhbGciOi|sid=xyz/.test(redacted.message), '格式化后的消息不应包含敏感信息')
+  assert(sensitiveRequest.config.header.Authorization === 'Bearer eyJhbGciOi.abc.def', '脱敏不应修改原始数据')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000, enableRedaction: false })
+  redactedReports.length = 0
+  reportError('manual', new Error('password=p@ss'))
+
+  await delay(100)
+  assert(redactedReports[0] && redactedReports[0].errorInfo.error === 'password=p@ss', '关闭 enableRedaction 后不应脱敏')
+
+  // 无效的脱敏规则和抛出异常的 logger 不应导致未处理的 Promise 拒绝
+  const unhandledRejections = []
+  const onUnhandledRejection = reason => unhandledRejections.push(reason)
+  process.on('unhandledRejection', onUnhandledRejection)
+  const throwingLogger = () => {
+    throw new Error('logger 不可用')
+  }
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    maxRetries: 0,
+    enableOfflineQueue: false,
+    redactRules: { patterns: [{}, 'order', /order-\d+/] },
+    logLevel: 'debug',
+    logger: { debug: throwingLogger, info: throwingLogger, warn: throwingLogger, error: throwingLogger },
+  })
+  const malformedReports = []
+  setSender(async errorInfo => {
+    malformedReports.push(errorInfo)
+    throw new Error('发送失败')
+  })
+  reportError('manual', new Error('订单 order-42 处理失败'))
+
+  await delay(100)
+  assert(malformedReports.length === 1 && malformedReports[0].error === '订单 [已脱敏] 处理失败', '应忽略无效的脱敏规则并继续使用有效规则')
+  assert(unhandledRejections.length === 0, '上报流程中的异常不应产生未处理的 Promise 拒绝')
+  process.removeListener('unhandledRejection', onUnhandledRejection)
+
+  // 事件处理器和 beforeSend 收到的是脱敏后的数据，处理函数新增的数据发送前再次脱敏
+  const processorSeen = []
+  const processorReports = []
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    beforeSend: errorInfo => {
+      processorSeen.push(errorInfo.context.token)
+      return { ...errorInfo, extra: { password: 'p@ss' } }
+    },
+  })
+  setSender(async errorInfo => {
+    processorReports.push(errorInfo)
+  })
+  reportError('manual', new Error('处理器脱敏'), { token: 'secret-token' })
+
+  await delay(100)
+  assert(processorSeen[0] === '[已脱敏]', 'beforeSend 收到的错误信息应已脱敏')
+  assert(processorReports[0] && processorReports[0].extra.password === '[已脱敏]', '处理函数新增的数据发送前应脱敏')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000 })
+  setSender(null)
+
+  // ========== 测试23: beforeSend 与事件处理器 ==========
+  console.log('\n📋 测试组23: beforeSend 与事件处理器')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  const beforeSendHints = []
+  initErrorMonitor({
+    webhookUrl: TEST_WEBHOOK,
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    dedupInterval: 5000,
+    beforeSend: (errorInfo, hint) => {
+      beforeSendHints.push(hint)
+      if (errorInfo.error === '丢弃的错误') {
+        return null
+      }
+      return { ...errorInfo, processedBy: [...(errorInfo.processedBy || []), 'beforeSend'] }
+    },
+  })
+  const pipelineReports = []
+  setSender(async errorInfo => {
+    pipelineReports.push(errorInfo)
+  })
+  const removeFirstProcessor = addEventProcessor(async errorInfo => {
+    await delay(10)
+    return { ...errorInfo, processedBy: ['first'] }
+  })
+  const removeFailingProcessor = addEventProcessor(() => {
+    throw new Error('处理器异常')
+  })
+  const removeSecondProcessor = addEventProcessor(errorInfo => ({ ...errorInfo, processedBy: [...errorInfo.processedBy, 'second'] }))
+
+  const originalPipelineError = new Error('处理流程测试')
+  reportError('manual', originalPipelineError)
+  reportError('manual', '丢弃的错误')
+  global.window.onerror('全局错误处理流程测试', 'app.js', 1, 1, new Error('全局错误处理流程测试'))
+
+  await delay(100)
+  assert(pipelineReports.length === 2, 'beforeSend 返回 null 时应丢弃错误')
+  assert(pipelineReports[0].processedBy.join(',') === 'first,second,beforeSend', '事件处理器应按添加顺序执行，并跳过抛出异常的处理器')
+  assert(beforeSendHints[0].originalException === originalPipelineError, 'hint 应包含原始错误对象')
+  assert(pipelineReports[1].type === 'global' && pipelineReports[1].processedBy.includes('beforeSend'), '全局错误应经过同一处理流程')
+
+  removeFirstProcessor()
+  removeFailingProcessor()
+  const removeDropProcessor = addEventProcessor(() => null)
+  reportError('manual', '事件处理器丢弃')
+
+  await delay(100)
+  assert(pipelineReports.length === 2, '事件处理器返回 null 时应丢弃错误')
+
+  removeSecondProcessor()
+  removeDropProcessor()
+  // 直接修改错误信息而未返回值的处理器不应丢弃错误
+  const removeMutatingProcessor = addEventProcessor(errorInfo => {
+    errorInfo.mutated = true
+  })
+  reportError('manual', '未返回值的处理器')
+
+  await delay(100)
+  const mutatedReport = pipelineReports.find(errorInfo => errorInfo.error === '未返回值的处理器')
+  assert(mutatedReport && mutatedReport.mutated === true, '处理器未返回值时应沿用修改后的错误信息继续发送')
+  removeMutatingProcessor()
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000 })
+  setSender(null)
+
+  // ========== 测试24: 用户、标签和附加上下文 ==========
+  console.log('\n📋 测试组24: 用户、标签和附加上下文')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  const scopedReports = []
+  setSender(async (errorInfo, message) => {
+    scopedReports.push({ errorInfo, message })
+  })
+  setUser({ id: 10086, username: 'zhangsan' })
+  setTag('tenant', 'acme')
+  setTags({ featureFlag: 'new-checkout', removed: 'x' })
+  setTag('removed', null)
+  setContext('order', { orderId: 'SO20240101' })
+  reportError('manual', new Error('上下文测试'))
+  global.window.onerror('自动捕获上下文测试', 'app.js', 1, 1, null)
+
+  await delay(100)
+  const scopedReport = scopedReports[0]
+  assert(scopedReport && scopedReport.errorInfo.user.id === 10086 && scopedReport.errorInfo.tags.tenant === 'acme' && !('removed' in scopedReport.errorInfo.tags), '手动上报的错误应合并用户和标签')
+  assert(scopedReport && scopedReport.errorInfo.contexts.order.orderId === 'SO20240101', '手动上报的错误应合并附加上下文')
+  assert(scopedReport && scopedReport.message.includes('👤 用户: 10086 / zhangsan') && scopedReport.message.includes('🔖 标签: tenant=acme, featureFlag=new-checkout') && scopedReport.message.includes('📎 附加上下文'), '消息中应显示用户、标签和附加上下文')
+  assert(scopedReports[1] && scopedReports[1].errorInfo.type === 'global' && scopedReports[1].errorInfo.user.username === 'zhangsan', '自动捕获的错误也应合并用户信息')
+
+  setUser(null)
+  setTags({ tenant: null, featureFlag: null })
+  setContext('order', null)
+  scopedReports.length = 0
+  reportError('manual', new Error('清除上下文测试'))
+
+  await delay(100)
+  assert(scopedReports[0] && !scopedReports[0].errorInfo.user && !scopedReports[0].errorInfo.tags && !scopedReports[0].errorInfo.contexts, '清除后不应再合并用户、标签和附加上下文')
+  setSender(null)
+
+  // ========== 测试25: 作用域 ==========
+  console.log('\n📋 测试组25: 作用域')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  const scopeReports = []
+  setSender(async errorInfo => {
+    scopeReports.push(errorInfo)
+  })
+  setTag('tenant', 'acme')
+  let rejectCheckout
+  const scopeResult = withScope(scope => {
+    scope.setTag('flow', 'checkout')
+    setContext('cart', { items: 3 })
+    scope.addBreadcrumb({ message: '提交订单' })
+    reportError('manual', new Error('作用域内错误'))
+    wrapPromise(new Promise((resolve, reject) => {
+      rejectCheckout = reject
+    })).catch(() => {})
+    return 'done'
+  })
+  reportError('manual', new Error('作用域外错误'))
+  rejectCheckout(new Error('作用域内的异步错误'))
+
+  await delay(100)
+  const insideReport = scopeReports.find(errorInfo => errorInfo.error === '作用域内错误')
+  const outsideReport = scopeReports.find(errorInfo => errorInfo.error === '作用域外错误')
+  const asyncReport = scopeReports.find(errorInfo => errorInfo.type === 'promise')
+  assert(scopeResult === 'done', 'withScope 应返回回调的返回值')
+  assert(insideReport && insideReport.tags.flow === 'checkout' && insideReport.tags.tenant === 'acme' && insideReport.contexts.cart.items === 3, '作用域内的错误应包含作用域和外层的数据')
+  assert(insideReport && insideReport.breadcrumbs.some(breadcrumb => breadcrumb.message === '提交订单'), '作用域内的错误应包含作用域面包屑')
+  assert(outsideReport && !outsideReport.tags.flow && !outsideReport.contexts && !outsideReport.breadcrumbs.some(breadcrumb => breadcrumb.message === '提交订单'), '作用域外的错误不应包含作用域数据')
+  assert(asyncReport && asyncReport.tags.flow === 'checkout', 'wrapPromise 包装的 Promise 应使用包装时的作用域')
+
+  const manualScope = pushScope()
+  manualScope.setTag('page', 'detail')
+  assert(popScope() === true && popScope() === false, 'popScope 不应弹出全局作用域')
+  setTag('tenant', null)
+  setSender(null)
+
+  // ========== 测试26: 会话统计 ==========
+  console.log('\n📋 测试组26: 会话统计')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  const sessionReports = []
+  setSender(async (errorInfo, message) => {
+    sessionReports.push({ errorInfo, message })
+  })
+  // 模拟上次启动遗留的崩溃会话
+  global._mockStorage['__uniapp_error_monitor_session__'] = { id: 'previous', release: '1.0.0', startedAt: Date.now() - 60000, updatedAt: Date.now() - 60000, status: 'crashed', errors: 1, hiddenAt: null }
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, enableSession: true, sessionTimeout: 10 })
+  const firstSession = getSession()
+  assert(firstSession && firstSession.id !== 'previous' && firstSession.status === 'healthy', '初始化后应开始新的健康会话')
+
+  reportError('console', new Error('轻微错误'))
+  assert(getSession().status === 'healthy', '轻微错误不应改变会话状态')
+  reportError('manual', new Error('会话出错'))
+  assert(getSession().status === 'errored', '普通错误应将会话标记为出错')
+  global.window.onerror('会话崩溃', 'app.js', 1, 1, null)
+  reportError('manual', new Error('崩溃后的错误'))
+  assert(getSession().status === 'crashed', '全局错误应将会话标记为崩溃且不再降级')
+
+  global._uniOnAppHideCallbacks.forEach(callback => callback())
+  await delay(30)
+  global._uniOnAppShowCallbacks.forEach(callback => callback())
+  assert(getSession().id !== firstSession.id && getSession().status === 'healthy', '后台停留超过超时时间后应开始新会话')
+
+  const sessionSummary = getSessionSummary()[firstSession.release]
+  assert(sessionSummary && sessionSummary.total === 3 && sessionSummary.crashed === 2 && sessionSummary.healthy === 1, '会话统计应包含遗留会话、已结束会话和当前会话')
+
+  sessionReports.length = 0
+  sendSessionSummary(true)
+  await delay(100)
+  const sessionReport = sessionReports.find(report => report.errorInfo.type === 'session')
+  assert(sessionReport && sessionReport.errorInfo.release === firstSession.release && Math.abs(sessionReport.errorInfo.crashFreeRate - 1 / 3) < 1e-9, '应按版本发送会话统计和无崩溃率')
+  assert(sessionReport && sessionReport.message.includes('📈 会话统计') && sessionReport.message.includes('💥 崩溃: 2'), '会话统计消息应包含各状态的会话数')
+  assert(getSessionSummary()[firstSession.release].total === 1, '发送后应清空已结束会话的统计')
+
+  // 新会话开始时重置会话上限计数
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, enableSession: true, sessionTimeout: 10, maxReportsPerSession: 1 })
+  sessionReports.length = 0
+  reportError('manual', new Error('上个会话的错误A'))
+  reportError('manual', new Error('上个会话的错误B'))
+  global._uniOnAppHideCallbacks.forEach(callback => callback())
+  await delay(30)
+  global._uniOnAppShowCallbacks.forEach(callback => callback())
+  reportError('manual', new Error('新会话的错误'))
+
+  await delay(100)
+  assert(sessionReports.some(report => report.errorInfo.error === '新会话的错误'), '新会话开始后应重新计算会话上限')
+  assert(!sessionReports.some(report => report.errorInfo.error === '上个会话的错误B'), '上个会话超出上限的错误仍应被抑制')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000 })
+  setSender(null)
+
+  // ========== 测试27: 异常退出检测 ==========
+  console.log('\n📋 测试组27: 异常退出检测')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  const exitReports = []
+  setSender(async (errorInfo, message) => {
+    exitReports.push({ errorInfo, message })
+  })
+  // 模拟上次运行在前台时被结束，标记中留有最后的致命错误
+  const RUN_MARKER_KEY = '__uniapp_error_monitor_run_marker__'
+  global._mockStorage[RUN_MARKER_KEY] = {
+    id: 'previous',
+    startedAt: Date.now() - 120000,
+    updatedAt: Date.now() - 60000,
+    foreground: true,
+    page: 'pages/order/detail',
+    url: 'http://localhost:8080/order/detail',
+    breadcrumbs: [{ type: 'navigation', level: 'info', message: 'navigateTo /pages/order/detail', timestamp: Date.now() - 90000 }],
+    lastFatalError: { type: 'global', message: '订单详情渲染失败', timestamp: Date.now() - 60000, page: 'pages/order/detail' },
+  }
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, enableAbnormalExitDetection: true })
+
+  await delay(100)
+  const exitReport = exitReports.find(report => report.errorInfo.type === 'abnormalExit')
+  assert(exitReport && exitReport.errorInfo.page === 'pages/order/detail' && exitReport.errorInfo.breadcrumbs[0].message === 'navigateTo /pages/order/detail', '应上报上次运行的最后页面和面包屑')
+  assert(exitReport && exitReport.message.includes('🔍 错误类型: 异常退出') && exitReport.message.includes('💥 最后的致命错误: [全局错误] 订单详情渲染失败'), '异常退出消息应包含最后的致命错误')
+  const runMarker = global._mockStorage[RUN_MARKER_KEY]
+  assert(runMarker.id !== 'previous' && runMarker.foreground === true && !runMarker.lastFatalError, '本次启动应写入新的运行标记')
+
+  global.window.onerror('支付页面崩溃', 'app.js', 1, 1, null)
+  assert(global._mockStorage[RUN_MARKER_KEY].lastFatalError.message === '支付页面崩溃', '致命错误应立即写入运行标记')
+  global._uniOnAppHideCallbacks.forEach(callback => callback())
+  assert(global._mockStorage[RUN_MARKER_KEY].foreground === false, '切到后台后运行标记应记为后台状态')
+  global._uniOnAppShowCallbacks.forEach(callback => callback())
+
+  // H5 刷新页面不触发 onAppHide，页面卸载时应记为后台状态
+  global._windowEventListeners.pagehide()
+  assert(global._mockStorage[RUN_MARKER_KEY].foreground === false, 'H5 页面卸载后运行标记应记为后台状态，刷新后不应误报异常退出')
+  global._windowEventListeners.pageshow({ persisted: true })
+  assert(global._mockStorage[RUN_MARKER_KEY].foreground === true, '从往返缓存恢复的页面应重新记为前台状态')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000 })
+  setSender(null)
+  assert(!global._windowEventListeners.pagehide && !global._windowEventListeners.beforeunload, '关闭异常退出检测后应移除页面卸载监听')
+
+  // ========== 测试28: 销毁与重复初始化 ==========
+  console.log('\n📋 测试组28: 销毁与重复初始化')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  const teardownReports = []
+  setSender(async errorInfo => {
+    teardownReports.push(errorInfo)
+  })
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, enableConsoleError: true })
+  const wrappedRequest = global.uni.request
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, enableConsoleError: true })
+  assert(global.uni.request === wrappedRequest, '重复初始化不应再次包装 uni.request')
+  console.error('重复初始化后的控制台错误')
+  global.uni.uploadFile({ url: 'https://api.example.com/upload-teardown', fail: () => {} })
+
+  await delay(150)
+  assert(teardownReports.filter(errorInfo => errorInfo.type === 'console').length === 1, '重复初始化后控制台错误只应上报一次')
+  assert(teardownReports.filter(errorInfo => errorInfo.type === 'network').length === 1, '重复初始化后网络错误只应上报一次')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, enableConsoleError: false })
+  teardownReports.length = 0
+  console.error('关闭捕获后的控制台错误')
+  await delay(50)
+  assert(teardownReports.length === 0, '重新配置关闭 console 捕获后不应再上报')
+
+  const previousTeardownVueHandler = () => {}
+  const teardownApp = { config: { errorHandler: previousTeardownVueHandler } }
+  VueErrorPlugin.install(teardownApp)
+  destroyErrorMonitor()
+  assert(global.window.onerror === null, '销毁后应还原 window.onerror')
+  assert(console.error === nativeConsoleError && global.uni.request === nativeUniRequest, '销毁后应还原 console.error 和 uni.request')
+  assert(global._uniOnAppShowCallbacks.length === 0 && global._uniOnAppHideCallbacks.length === 0, '销毁后应移除前后台切换监听')
+  assert(teardownApp.config.errorHandler === previousTeardownVueHandler && teardownApp.config.warnHandler === undefined, '销毁后应还原 Vue 的处理函数')
+
+  // console 面包屑和 console.error 捕获都包装了 console.error，销毁时都应还原
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, enableConsoleError: true, enableBreadcrumbs: true })
+  destroyErrorMonitor()
+  assert(console.error === nativeConsoleError, '同时开启面包屑和 console 捕获时，销毁后应还原 console.error')
+
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000 })
+  assert(typeof global.window.onerror === 'function' && global.uni.request !== nativeUniRequest, '销毁后可以重新初始化')
+  assert(errorMonitor.default._sender === null, '销毁后重新初始化不应沿用之前的发送器')
+  initErrorMonitor({ webhookUrl: '', forceEnable: true })
+  assert(!errorMonitor.getEnvironmentInfo().errorMonitorEnabled && global.uni.request === nativeUniRequest, '重新初始化未完成时应销毁之前的配置')
+  initErrorMonitor({ webhookUrl: TEST_WEBHOOK, forceEnable: true, errorLevel: ERROR_LEVEL.STRICT, dedupInterval: 5000 })
+
+  // ========== 测试29: 多实例 ==========
+  console.log('\n📋 测试组29: 多实例')
+  console.log('----------------------------------------')
+
+  clearErrorCache()
+  const hostReports = []
+  const subReports = []
+  setSender(async errorInfo => {
+    hostReports.push(errorInfo)
+  })
+  const hostRequest = global.uni.request
+  const hostGlobalCount = getErrorStats().global
+  const subMonitor = new ErrorMonitor({
+    name: 'subpkg',
+    pageInclude: ['subpkg/'],
+    webhookUrl: 'https://example.com/subpkg-webhook',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    sender: async errorInfo => {
+      subReports.push(errorInfo)
+    },
+  })
+  assert(global.uni.request === hostRequest, '新实例不应再次包装全局函数')
+
+  global.window.onerror('主包页面错误', 'app.js', 1, 1, null)
+  const originalGetCurrentPages = global.getCurrentPages
+  global.getCurrentPages = () => [{ route: 'subpkg/pages/detail' }]
+  global.window.onerror('分包页面错误', 'sub.js', 1, 1, null)
+  global.getCurrentPages = originalGetCurrentPages
+  subMonitor.withScope(() => {
+    global.window.onerror('显式作用域错误', 'sub.js', 2, 1, null)
+  })
+
+  await delay(100)
+  assert(hostReports.length === 1 && hostReports[0].message === '主包页面错误', '主包页面的错误只应发送到默认实例')
+  assert(subReports.length === 2 && subReports[0].message === '分包页面错误' && subReports[1].message === '显式作用域错误', '分包页面和显式作用域内的错误只应发送到分包实例')
+  assert(subMonitor.getErrorStats().global === 2 && getErrorStats().global === hostGlobalCount + 1, '各实例应分别统计错误')
+
+  subMonitor.destroy()
+  assert(global.uni.request === hostRequest && typeof global.window.onerror === 'function', '销毁一个实例不应还原其他实例仍需要的全局钩子')
+  setSender(null)
+
+  // ========== 测试30: 初始化前缓冲 ==========
+  console.log('\n📋 测试组30: 初始化前缓冲')
+  console.log('----------------------------------------')
+
+  const lateReports = []
+  const lateMonitor = new ErrorMonitor()
+  const capturedAt = Date.now()
+  lateMonitor.reportError('manual', new Error('启动阶段错误'))
+  lateMonitor.reportError('manual', new Error('启动阶段错误'))
+  // 超出缓冲区上限（30条）的错误被丢弃
+  for (let i = 0; i < 30; i++) {
+    lateMonitor.reportError('manual', new Error(`启动阶段错误 ${String.fromCharCode(97 + (i % 26))}${String.fromCharCode(97 + Math.floor(i / 26))}`))
+  }
+  assert(lateMonitor.getErrorStats().total === 0, '初始化前的错误不应按默认配置处理')
+
+  await delay(20)
+  lateMonitor.initErrorMonitor({
+    name: 'late',
+    webhookUrl: 'https://example.com/late-webhook',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STANDARD,
+    sender: async (errorInfo, message) => {
+      lateReports.push({ errorInfo, message })
+    },
+  })
+
+  await delay(100)
+  const startupReport = lateReports.find(report => report.errorInfo.error === '启动阶段错误')
+  assert(startupReport && startupReport.errorInfo.buffered === true && startupReport.errorInfo.timestamp < capturedAt + 20, '补报的错误应标记为缓冲并保留捕获时间')
+  assert(startupReport && startupReport.message.includes('⏳ 初始化前捕获'), '补报的错误消息应标明初始化前捕获')
+  assert(lateReports.filter(report => report.errorInfo.error === '启动阶段错误').length === 1, '补报的错误应经过去重')
+  assert(lateMonitor.getErrorStats().total === 29, '缓冲区应有上限')
+
+  lateMonitor.reportError('manual', new Error('初始化后的错误'))
+  await delay(100)
+  const liveReport = lateReports.find(report => report.errorInfo.error === '初始化后的错误')
+  assert(liveReport && !liveReport.errorInfo.buffered, '初始化后的错误不应标记为缓冲')
+  lateMonitor.destroy()
+  const lateReportCount = lateReports.length
+  lateMonitor.reportError('manual', new Error('销毁后的错误'), {}, true)
+  await delay(50)
+  assert(lateReports.length === lateReportCount && lateMonitor.getErrorStats().total === 30, '销毁后上报的错误应被丢弃')
+
+  // 初始化前自动捕获的全局错误和小程序错误也会缓冲
+  const autoReports = []
+  const autoMonitor = new ErrorMonitor()
+  global.window.onerror('启动阶段全局错误', 'app.js', 1, 1, null)
+  global._uniOnErrorCallback('启动阶段小程序错误')
+  autoMonitor.initErrorMonitor({
+    name: 'auto',
+    webhookUrl: 'https://example.com/auto-webhook',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STANDARD,
+    sender: async (errorInfo, message) => {
+      autoReports.push({ errorInfo, message })
+    },
+  })
+  await delay(100)
+  assert(autoReports.some(report => report.errorInfo.type === 'global' && report.errorInfo.buffered === true), '初始化前自动捕获的全局错误应在初始化后补报')
+  assert(autoReports.some(report => report.errorInfo.type === 'miniProgram' && report.errorInfo.buffered === true), '初始化前自动捕获的小程序错误应在初始化后补报')
+  autoMonitor.destroy()
+
+  // 初始化未完成时丢弃缓冲区
+  const abortReports = []
+  const abortMonitor = new ErrorMonitor()
+  abortMonitor.reportError('manual', new Error('放弃初始化前的错误'))
+  global.window.onerror('放弃初始化前的全局错误', 'app.js', 1, 1, null)
+  abortMonitor.initErrorMonitor({ name: 'abort', forceEnable: true })
+  assert(abortMonitor._preInitBuffer === null, '初始化未完成时应清空缓冲区')
+  global.window.onerror('放弃初始化后的全局错误', 'app.js', 1, 1, null)
+  abortMonitor.initErrorMonitor({
+    name: 'abort',
+    webhookUrl: 'https://example.com/abort-webhook',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STANDARD,
+    sender: async (errorInfo) => {
+      abortReports.push(errorInfo)
+    },
+  })
+  await delay(100)
+  assert(abortReports.length === 0, '初始化未完成时缓冲的错误不应在之后补报')
+  abortMonitor.destroy()
+
+  // ========== 测试31: 内部日志 ==========
+  console.log('\n📋 测试组31: 内部日志')
+  console.log('----------------------------------------')
+
+  const debugLogs = []
+  const debugLogger = {
+    debug: (...args) => debugLogs.push(['debug', ...args]),
+    info: (...args) => debugLogs.push(['info', ...args]),
+    warn: (...args) => debugLogs.push(['warn', ...args]),
+    error: (...args) => debugLogs.push(['error', ...args]),
+  }
+  const debugMonitor = new ErrorMonitor({
+    name: 'debug',
+    webhookUrl: 'https://example.com/debug-webhook',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    debug: true,
+    logger: debugLogger,
+    sender: async () => {},
+  })
+  debugMonitor.reportError('manual', new Error('调试日志错误'))
+  debugMonitor.reportError('manual', new Error('调试日志错误'))
+  await delay(50)
+  assert(debugLogs.some(log => log[0] === 'debug' && String(log[1]).includes('错误去重')), 'debug 模式应输出去重调试日志到自定义 logger')
+  assert(debugLogs.some(log => log[0] === 'info' && log[1] === '错误信息已发送到webhook'), 'debug 模式应输出发送信息')
+  debugMonitor.destroy()
+
+  const silentLogs = []
+  const silentMonitor = new ErrorMonitor({
+    name: 'silent',
+    webhookUrl: 'https://example.com/silent-webhook',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    logger: {
+      debug: (...args) => silentLogs.push(args),
+      info: (...args) => silentLogs.push(args),
+      warn: (...args) => silentLogs.push(args),
+      error: (...args) => silentLogs.push(args),
+    },
+    sender: async () => {
+      throw new Error('发送失败')
+    },
+    maxRetries: 0,
+    enableOfflineQueue: false,
+  })
+  silentMonitor.reportError('manual', new Error('静默日志错误'))
+  await delay(50)
+  assert(silentLogs.length === 0, '生产环境默认不应输出内部日志')
+  silentMonitor.destroy()
+
+  const loopAttempts = []
+  const loopMonitor = new ErrorMonitor({
+    name: 'loop',
+    webhookUrl: 'https://example.com/loop-webhook',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STRICT,
+    enableConsoleError: true,
+    logLevel: 'error',
+    maxRetries: 0,
+    enableOfflineQueue: false,
+    sender: async errorInfo => {
+      loopAttempts.push(errorInfo)
+      throw new Error('webhook 不可用')
+    },
+  })
+  loopMonitor.reportError('manual', new Error('触发发送失败'))
+  await delay(100)
+  assert(loopAttempts.length === 1, '发送失败的日志不应被 console 捕获后再次发送')
+  console.error('业务代码的控制台错误')
+  await delay(100)
+  assert(loopAttempts.length === 2 && loopAttempts[1].type === 'console', '监控自身输出之外的 console.error 仍应捕获')
+  loopMonitor.destroy()
+
+  // ========== 测试32: 环境检测 ==========
+  console.log('\n📋 测试组32: 环境检测')
+  console.log('----------------------------------------')
+
+  const envOptions = { name: 'env', webhookUrl: 'https://example.com/env-webhook', sender: async () => {} }
+  const modeMonitor = new ErrorMonitor({ ...envOptions, environment: { mode: 'development' } })
+  assert(!modeMonitor.getEnvironmentInfo().errorMonitorEnabled && modeMonitor.getEnvironmentInfo().mode === 'development', '显式指定开发模式时不应启用')
+
+  const customMonitor = new ErrorMonitor({ ...envOptions, environment: { mode: 'development', isProduction: () => true } })
+  assert(customMonitor.getEnvironmentInfo().errorMonitorEnabled, '自定义生产环境判断应优先于运行模式')
+  customMonitor.destroy()
+
+  global.uni.getAccountInfoSync = () => ({ miniProgram: { envVersion: 'trial' } })
+  const trialMonitor = new ErrorMonitor(envOptions)
+  assert(!trialMonitor.getEnvironmentInfo().isProduction, '小程序体验版应视为非生产环境')
+  global.uni.getAccountInfoSync = () => ({ miniProgram: { envVersion: 'release' } })
+  assert(trialMonitor.getEnvironmentInfo().isProduction, '小程序正式版应视为生产环境')
+  delete global.uni.getAccountInfoSync
+
+  process.env.NODE_ENV = 'development'
+  const webpackMonitor = new ErrorMonitor(envOptions)
+  assert(!webpackMonitor.getEnvironmentInfo().errorMonitorEnabled && webpackMonitor.getEnvironmentInfo().mode === 'development', '应读取 webpack 注入的 NODE_ENV')
+  process.env.NODE_ENV = 'production'
+
+  process.env.VUE_APP_WEBHOOK = 'https://example.com/vue-app-webhook'
+  process.env.CUSTOM_WEBHOOK = 'https://example.com/custom-webhook'
+  const envWebhookMonitor = new ErrorMonitor({ name: 'env', sender: async () => {} })
+  assert(envWebhookMonitor.config.webhookUrl === 'https://example.com/vue-app-webhook', '未配置 webhookUrl 时应读取 VUE_APP_WEBHOOK')
+  envWebhookMonitor.destroy()
+  const envKeyMonitor = new ErrorMonitor({ name: 'env', sender: async () => {}, environment: { webhookKey: 'CUSTOM_WEBHOOK' } })
+  assert(envKeyMonitor.config.webhookUrl === 'https://example.com/custom-webhook', '应支持自定义 webhook 环境变量名')
+  envKeyMonitor.destroy()
+  delete process.env.VUE_APP_WEBHOOK
+  delete process.env.CUSTOM_WEBHOOK
+
+  // ========== 测试33: Vue 2 插件 ==========
+  console.log('\n📋 测试组33: Vue 2 插件')
+  console.log('----------------------------------------')
+
+  const vue2Reports = []
+  const vue2Monitor = new ErrorMonitor({
+    name: 'vue2',
+    webhookUrl: 'https://example.com/vue2-webhook',
+    forceEnable: true,
+    errorLevel: ERROR_LEVEL.STANDARD,
+    sender: async errorInfo => {
+      vue2Reports.push(errorInfo)
+    },
+  })
+  const previousVue2Calls = []
+  const previousVue2Handler = function (err, vm, info) {
+    previousVue2Calls.push({ context: this, err, vm, info })
+  }
+  const Vue = {
+    config: {
+      errorHandler: previousVue2Handler,
+    },
+    use: (plugin, options) => plugin.install(Vue, options),
+  }
+  Vue.use(Vue2ErrorPlugin, { monitor: vue2Monitor })
+
+  const vue2Root = { $options: {}, $parent: undefined }
+  vue2Root.$root = vue2Root
+  const vue2Page = { $options: { _componentTag: 'order-page' }, $parent: vue2Root, $root: vue2Root }
+  const vue2Item = { $options: { name: 'OrderItem' }, $parent: vue2Page, $root: vue2Root }
+  const vue2Error = new Error('挂载失败')
+  Vue.config.errorHandler(vue2Error, vue2Item, 'mounted hook')
+
+  await delay(100)
+  const vue2Report = vue2Reports.find(item => item.type === 'vue')
+  assert(vue2Report && vue2Report.componentName === 'OrderItem' && vue2Report.lifecycle === 'mounted hook', 'Vue 2 错误应包含组件名称和生命周期信息')
+  assert(vue2Report && vue2Report.componentTrace.join(' ') === '<OrderItem> <order-page> <Root>', 'Vue 2 错误应包含 $parent 组件链')
+  assert(previousVue2Calls.length === 1 && previousVue2Calls[0].context === Vue.config && previousVue2Calls[0].err === vue2Error && previousVue2Calls[0].info === 'mounted hook', '应继续调用之前注册的 Vue.config.errorHandler')
+  assert(vue2Monitor.getErrorStats().vue === 1, 'Vue 2 错误应计入对应实例的统计')
+  vue2Monitor.destroy()
+  assert(Vue.config.errorHandler === previousVue2Handler && Vue.config.warnHandler === undefined, '销毁后应还原 Vue.config 的处理函数')
+
   // ========== 测试总结 ==========
   console.log('\n========================================')
   console.log(' 测试总结')
@@ -300,13 +1664,6 @@ async function runTests() {
     console.log('⚠️ 部分测试失败，请检查相关功能')
   }
 
-  // 清理临时文件
-  try {
-    fs.unlinkSync(tempModulePath)
-  } catch (e) {
-    // 忽略清理错误
-  }
-
   return failCount === 0
 }
 